@@ -0,0 +1,114 @@
+/**
+ * Speech recognition composable: turn one spoken utterance into text with the Web Speech API.
+ * The recognition constructor can be passed in for testing (see tests/useSpeechRecognition.test.js);
+ * in browsers without it `isSupported` is false and listening does nothing.
+ */
+
+import { ref, getCurrentScope, onScopeDispose } from 'vue'
+import logger from '../services/logger.js'
+
+const ERROR_MESSAGES = {
+  'not-allowed': 'Microphone access was denied. Allow it in your browser to speak your translation.',
+  'service-not-allowed': 'Speech recognition is not allowed in this browser.',
+  'audio-capture': 'No microphone was found.',
+  'no-speech': 'No speech was heard. Try again and speak after the microphone turns red.',
+  'network': 'Speech recognition needs a network connection in this browser.',
+  'language-not-supported': 'Speech recognition is not available for this language.'
+}
+
+export function useSpeechRecognition({
+  Recognition = globalThis.SpeechRecognition || globalThis.webkitSpeechRecognition
+} = {}) {
+  const isSupported = typeof Recognition === 'function'
+  const isListening = ref(false)
+  const transcript = ref('') // Text heard so far, including results that may still change
+  const error = ref('')
+  let recognition = null
+  let discardResult = false
+
+  /**
+   * Listen for one utterance in a locale such as 'nl-NL'.
+   * Resolves to the recognized text when listening ends, or '' when nothing was recognized,
+   * it was aborted or it failed (`error` then holds a message).
+   */
+  function start(lang) {
+    if (!isSupported || recognition) return Promise.resolve('')
+
+    error.value = ''
+    transcript.value = ''
+    discardResult = false
+
+    return new Promise(resolve => {
+      const current = new Recognition()
+      current.lang = lang
+      current.interimResults = true
+      current.continuous = false
+      current.maxAlternatives = 1
+
+      let finalText = ''
+
+      current.onresult = (event) => {
+        let interimText = ''
+        finalText = ''
+        for (let i = 0; i < event.results.length; i++) {
+          const result = event.results[i]
+          if (result.isFinal) finalText += result[0].transcript
+          else interimText += result[0].transcript
+        }
+        transcript.value = `${finalText}${interimText}`.trim()
+      }
+
+      current.onerror = (event) => {
+        if (event.error === 'aborted') return
+        error.value = ERROR_MESSAGES[event.error] || 'Speech recognition failed.'
+        logger.warn('Speech recognition failed', { lang, error: event.error })
+      }
+
+      current.onend = () => {
+        recognition = null
+        isListening.value = false
+        resolve(error.value || discardResult ? '' : finalText.trim())
+      }
+
+      try {
+        current.start()
+        recognition = current
+        isListening.value = true
+      } catch (err) {
+        logger.warn('Could not start speech recognition', { lang, error: err.message })
+        error.value = 'Speech recognition could not be started.'
+        resolve('')
+      }
+    })
+  }
+
+  /**
+   * Stop listening and keep what was heard so far
+   */
+  function stop() {
+    recognition?.stop()
+  }
+
+  /**
+   * Stop listening and discard the result
+   */
+  function abort() {
+    if (!recognition) return
+    discardResult = true
+    recognition.abort()
+  }
+
+  if (isSupported && getCurrentScope()) {
+    onScopeDispose(abort)
+  }
+
+  return {
+    isSupported,
+    isListening,
+    transcript,
+    error,
+    start,
+    stop,
+    abort
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * Speech synthesis composable: read text aloud with the Web Speech API in a given language.
+ * The browser objects can be passed in for testing; without support `isSupported` is false
+ * and speaking does nothing.
+ */
+
+import { ref, getCurrentScope, onScopeDispose } from 'vue'
+import logger from '../services/logger'
+
+/**
+ * Find an installed voice for a locale such as 'nl-NL', falling back to any voice for
+ * the language ('nl-BE'). Local voices are preferred over network ones.
+ */
+export function findVoice(voices, lang) {
+  const normalize = value => (value || '').replace('_', '-').toLowerCase()
+  const wanted = normalize(lang)
+  const language = wanted.split('-')[0]
+  const ranked = [...voices].sort((a, b) => Number(b.localService) - Number(a.localService))
+
+  return ranked.find(voice => normalize(voice.lang) === wanted) ||
+    ranked.find(voice => normalize(voice.lang).split('-')[0] === language) ||
+    null
+}
+
+export function useSpeechSynthesis({
+  synth = globalThis.speechSynthesis,
+  Utterance = globalThis.SpeechSynthesisUtterance
+} = {}) {
+  const isSupported = !!synth && typeof Utterance === 'function'
+  const voices = ref([])
+  const isSpeaking = ref(false)
+
+  function loadVoices() {
+    voices.value = synth.getVoices()
+  }
+
+  if (isSupported) {
+    // Most browsers load their voices asynchronously
+    loadVoices()
+    synth.addEventListener?.('voiceschanged', loadVoices)
+
+    if (getCurrentScope()) {
+      onScopeDispose(() => {
+        synth.removeEventListener?.('voiceschanged', loadVoices)
+        cancel()
+      })
+    }
+  }
+
+  function hasVoice(lang) {
+    return findVoice(voices.value, lang) !== null
+  }
+
+  /**
+   * Read text aloud, stopping anything still being spoken.
+   * Resolves to true when the text was spoken to the end, false when it was cancelled or failed.
+   */
+  function speak(text, lang, { rate = 1 } = {}) {
+    if (!isSupported || !text?.trim()) return Promise.resolve(false)
+
+    synth.cancel()
+
+    return new Promise(resolve => {
+      const utterance = new Utterance(text)
+      utterance.lang = lang
+      utterance.rate = rate
+      const voice = findVoice(voices.value, lang)
+      if (voice) utterance.voice = voice
+
+      utterance.onend = () => {
+        isSpeaking.value = false
+        resolve(true)
+      }
+      utterance.onerror = (event) => {
+        isSpeaking.value = false
+        // Cancelling or starting another text interrupts the current one
+        if (event?.error !== 'interrupted' && event?.error !== 'canceled') {
+          logger.warn('Speech synthesis failed', { lang, error: event?.error })
+        }
+        resolve(false)
+      }
+
+      isSpeaking.value = true
+      synth.speak(utterance)
+    })
+  }
+
+  function cancel() {
+    if (!isSupported) return
+    synth.cancel()
+    isSpeaking.value = false
+  }
+
+  return {
+    isSupported,
+    voices,
+    isSpeaking,
+    hasVoice,
+    speak,
+    cancel
+  }
+}
@@ -11,6 +11,10 @@ import SetupView from '../views/SetupView.vue'
 import HomeView from '../views/HomeView.vue'
 import ExerciseView from '../views/ExerciseView.vue'
 import SettingsView from '../views/SettingsView.vue'
+import VocabularyView from '../views/VocabularyView.vue'
+import FlashcardsView from '../views/FlashcardsView.vue'
+import StatsView from '../views/StatsView.vue'
+import DrillsView from '../views/DrillsView.vue'
 
 const routes = [
   {
@@ -35,6 +39,30 @@ const routes = [
     component: ExerciseView,
     meta: { requiresAuth: true }
   },
+  {
+    path: '/exercise/:id/drills',
+    name: 'drills',
+    component: DrillsView,
+    meta: { requiresAuth: true }
+  },
+  {
+    path: '/vocabulary',
+    name: 'vocabulary',
+    component: VocabularyView,
+    meta: { requiresAuth: true }
+  },
+  {
+    path: '/review',
+    name: 'review',
+    component: FlashcardsView,
+    meta: { requiresAuth: true }
+  },
+  {
+    path: '/stats',
+    name: 'stats',
+    component: StatsView,
+    meta: { requiresAuth: true }
+  },
   {
     path: '/settings',
     name: 'settings',
@@ -0,0 +1,258 @@
+/**
+ * Backup service: export all exercises, vocabulary, flashcards and non-secret settings
+ * to a versioned JSON file, and restore them by merging or replacing.
+ *
+ * API keys are never included in a backup.
+ */
+
+import {
+  getAllTranslations,
+  getAllVocabulary,
+  getAllCards,
+  saveTranslation,
+  saveVocabularyEntry,
+  saveCards,
+  replaceAllData,
+  getTheme,
+  getMaxTextLength,
+  getRequestTimeout,
+  getProviderOptions,
+  getLanguagePairId,
+  getCustomPresets
+} from './storage'
+import logger from './logger'
+
+const BACKUP_APP = 'DutchGhostWriter'
+export const BACKUP_VERSION = 1
+
+export const IMPORT_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace'
+}
+
+/**
+ * Collect everything into a backup object
+ */
+export async function createBackup() {
+  logger.actionStart('Creating backup')
+
+  const [translations, vocabulary, cards] = await Promise.all([
+    getAllTranslations(),
+    getAllVocabulary(),
+    getAllCards()
+  ])
+
+  const backup = {
+    app: BACKUP_APP,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    translations,
+    vocabulary,
+    cards,
+    settings: {
+      theme: getTheme(),
+      maxTextLength: getMaxTextLength(),
+      requestTimeout: getRequestTimeout(),
+      languagePair: getLanguagePairId(),
+      providerOptions: getProviderOptions(),
+      customPresets: getCustomPresets()
+    }
+  }
+
+  logger.actionSuccess('Backup created', {
+    translations: translations.length,
+    vocabulary: vocabulary.length,
+    cards: cards.length
+  })
+  return backup
+}
+
+function isObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value)
+}
+
+function isValidTranslation(translation) {
+  return isObject(translation) &&
+    Number.isInteger(translation.id) &&
+    typeof translation.title === 'string' &&
+    Array.isArray(translation.sentences) &&
+    translation.sentences.every(s =>
+      isObject(s) && Number.isInteger(s.id) && typeof s.english === 'string' && typeof s.dutch === 'string'
+    )
+}
+
+function isValidVocabularyEntry(entry) {
+  return isObject(entry) && Number.isInteger(entry.id) && typeof entry.word === 'string' && typeof entry.dutch === 'string'
+}
+
+function isValidCard(card) {
+  return isObject(card) && typeof card.id === 'string' && typeof card.due === 'string'
+}
+
+/**
+ * Parse and validate backup file contents. Throws an Error describing the first problem found.
+ */
+export function parseBackup(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('The file is not valid JSON')
+  }
+
+  if (!isObject(data) || data.app !== BACKUP_APP) {
+    throw new Error('The file is not a Dutch GhostWriter backup')
+  }
+  if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION) {
+    throw new Error(`Unsupported backup version: ${data.version}. Please update the app.`)
+  }
+  if (!Array.isArray(data.translations)) {
+    throw new Error('The backup has no exercises list')
+  }
+
+  const invalidIndex = data.translations.findIndex(t => !isValidTranslation(t))
+  if (invalidIndex !== -1) {
+    throw new Error(`Exercise #${invalidIndex + 1} in the backup is invalid`)
+  }
+
+  const vocabulary = data.vocabulary ?? []
+  if (!Array.isArray(vocabulary) || !vocabulary.every(isValidVocabularyEntry)) {
+    throw new Error('The backup contains invalid vocabulary entries')
+  }
+
+  const cards = data.cards ?? []
+  if (!Array.isArray(cards) || !cards.every(isValidCard)) {
+    throw new Error('The backup contains invalid flashcards')
+  }
+
+  return {
+    ...data,
+    vocabulary,
+    cards,
+    settings: isObject(data.settings) ? data.settings : {}
+  }
+}
+
+/**
+ * Point a card at renumbered translations and vocabulary entries.
+ * Card IDs embed their source IDs (see the flashcards store).
+ */
+function remapCard(card, translationIds, vocabularyIds) {
+  const mapTranslation = id => translationIds.get(id) ?? id
+  let id = card.id
+
+  const vocabMatch = id.match(/^vocab-(\d+)$/)
+  const sentenceMatch = id.match(/^sentence-(\d+)-(\d+)$/)
+  if (vocabMatch) {
+    id = `vocab-${vocabularyIds.get(Number(vocabMatch[1])) ?? vocabMatch[1]}`
+  } else if (sentenceMatch) {
+    id = `sentence-${mapTranslation(Number(sentenceMatch[1]))}-${sentenceMatch[2]}`
+  }
+
+  return {
+    ...card,
+    id,
+    sourceTranslationId: card.sourceTranslationId == null ? null : mapTranslation(card.sourceTranslationId)
+  }
+}
+
+/**
+ * Merge a backup into the existing data.
+ * - An exercise with a new ID is added as-is.
+ * - The same exercise (same ID and createdAt) keeps whichever copy was updated last.
+ * - A different exercise that happens to use an existing ID is added under a new ID.
+ * Vocabulary already present (same word and Dutch) is skipped; cards keep the most recent review.
+ */
+async function mergeBackup(backup) {
+  const summary = { added: 0, updated: 0, skipped: 0, renumbered: 0, vocabularyAdded: 0 }
+  const translationIds = new Map() // backup ID -> new ID for renumbered exercises
+  const vocabularyIds = new Map()
+
+  const existingTranslations = new Map((await getAllTranslations()).map(t => [t.id, t]))
+
+  for (const translation of backup.translations) {
+    const existing = existingTranslations.get(translation.id)
+
+    if (!existing) {
+      await saveTranslation(translation, { keepUpdatedAt: true })
+      summary.added++
+    } else if (existing.createdAt === translation.createdAt) {
+      if ((translation.updatedAt || '') > (existing.updatedAt || '')) {
+        await saveTranslation(translation, { keepUpdatedAt: true })
+        summary.updated++
+      } else {
+        summary.skipped++
+      }
+    } else {
+      const { id, ...withoutId } = translation
+      const saved = await saveTranslation(withoutId, { keepUpdatedAt: true })
+      translationIds.set(id, saved.id)
+      summary.renumbered++
+    }
+  }
+
+  const existingVocabulary = await getAllVocabulary()
+  const vocabularyKey = entry => `${entry.word.toLowerCase()}|${entry.dutch.toLowerCase()}`
+  const vocabularyByKey = new Map(existingVocabulary.map(entry => [vocabularyKey(entry), entry]))
+
+  for (const entry of backup.vocabulary) {
+    const match = vocabularyByKey.get(vocabularyKey(entry))
+    if (match) {
+      vocabularyIds.set(entry.id, match.id)
+      continue
+    }
+
+    const { id, ...withoutId } = entry
+    const saved = await saveVocabularyEntry({
+      ...withoutId,
+      sourceTranslationId: entry.sourceTranslationId == null
+        ? null
+        : translationIds.get(entry.sourceTranslationId) ?? entry.sourceTranslationId
+    })
+    vocabularyIds.set(id, saved.id)
+    vocabularyByKey.set(vocabularyKey(saved), saved)
+    summary.vocabularyAdded++
+  }
+
+  const existingCards = new Map((await getAllCards()).map(card => [card.id, card]))
+  const cards = backup.cards
+    .map(card => remapCard(card, translationIds, vocabularyIds))
+    .filter(card => {
+      const existing = existingCards.get(card.id)
+      return !existing || (card.lastReviewedAt || '') > (existing.lastReviewedAt || '')
+    })
+
+  if (cards.length > 0) {
+    await saveCards(cards)
+  }
+
+  return summary
+}
+
+/**
+ * Restore a parsed backup. Returns a summary of what changed.
+ * Settings are not applied here; the caller applies `backup.settings` through the settings store.
+ */
+export async function importBackup(backup, mode = IMPORT_MODES.MERGE) {
+  logger.actionStart(`Importing backup (${mode})`, {
+    translations: backup.translations.length,
+    vocabulary: backup.vocabulary.length,
+    cards: backup.cards.length
+  })
+
+  try {
+    let summary
+    if (mode === IMPORT_MODES.REPLACE) {
+      await replaceAllData(backup)
+      summary = { added: backup.translations.length, updated: 0, skipped: 0, renumbered: 0, vocabularyAdded: backup.vocabulary.length }
+    } else {
+      summary = await mergeBackup(backup)
+    }
+
+    logger.actionSuccess('Backup imported', summary)
+    return summary
+  } catch (error) {
+    logger.error('Failed to import backup', error)
+    throw error
+  }
+}
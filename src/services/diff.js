@@ -0,0 +1,93 @@
+/**
+ * Word-level diff between two versions of a sentence, e.g. the user's translation and the
+ * suggested one from an AI review.
+ * Pure functions - the result is a list of tokens to render inline.
+ */
+
+/**
+ * Split text into word and punctuation tokens, remembering whether each followed whitespace
+ * so the text can be rendered as it was written.
+ * Words keep inner apostrophes and hyphens ("'s", "zee-egel").
+ */
+export function tokenize(text) {
+  const tokens = []
+  const pattern = /(\s*)([\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*|['’][\p{L}]+|\S)/gu
+
+  for (const match of (text || '').matchAll(pattern)) {
+    tokens.push({ text: match[2], spaceBefore: tokens.length > 0 && match[1].length > 0 })
+  }
+  return tokens
+}
+
+/**
+ * Longest common subsequence table over token texts, filled from the end
+ */
+function lcsTable(a, b) {
+  const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      table[i][j] = a[i].text === b[j].text
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1])
+    }
+  }
+  return table
+}
+
+/**
+ * Diff two texts word by word.
+ * Returns tokens in reading order, each { text, spaceBefore, type } where type is
+ * 'equal', 'delete' (only in `from`), 'insert' (only in `to`), or for words that changed
+ * position 'move-from' (old position) and 'move-to' (new position).
+ * At each change the removed tokens come before the inserted ones.
+ */
+export function diffWords(from, to) {
+  const a = tokenize(from)
+  const b = tokenize(to)
+  const table = lcsTable(a, b)
+  const result = []
+
+  // The first word of either text still needs a space when it isn't first in the result
+  const push = (token, index, type) => result.push({
+    ...token,
+    spaceBefore: token.spaceBefore || (index === 0 && result.length > 0),
+    type
+  })
+
+  let i = 0
+  let j = 0
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i].text === b[j].text) {
+      push(b[j], j, 'equal')
+      i++
+      j++
+    } else if (j >= b.length || (i < a.length && table[i + 1][j] >= table[i][j + 1])) {
+      push(a[i], i, 'delete')
+      i++
+    } else {
+      push(b[j], j, 'insert')
+      j++
+    }
+  }
+
+  // A word that was deleted in one place and inserted in another has moved,
+  // even when its capitalization changed with the position ("Ik" → "ik")
+  for (const deleted of result) {
+    if (deleted.type !== 'delete' || !/[\p{L}\p{N}]/u.test(deleted.text)) continue
+    const word = deleted.text.toLowerCase()
+    const inserted = result.find(t => t.type === 'insert' && t.text.toLowerCase() === word)
+    if (inserted) {
+      deleted.type = 'move-from'
+      inserted.type = 'move-to'
+    }
+  }
+
+  return result
+}
+
+/**
+ * Check whether a diff has any differences
+ */
+export function hasChanges(diff) {
+  return diff.some(token => token.type !== 'equal')
+}
@@ -0,0 +1,172 @@
+/**
+ * De/het article and verb conjugation drills built from the Dutch sentences of an exercise.
+ * The AI picks the nouns and verbs (see generateDrills in gemini.js); the multiple-choice
+ * questions are built from them here.
+ *
+ * Generated drills are cached on the exercise as `translation.drills` ({ content, text, generatedAt },
+ * where `text` is the Dutch text they were made from) and finished sessions as
+ * `translation.drillSessions`: { finishedAt, article: { correct, total }, conjugation: { correct, total } }.
+ */
+
+import { getReferenceTranslation } from './reviewContent'
+import { getLanguagePair } from './languages'
+
+export const VERB_TENSES = {
+  present: { label: 'present tense' },
+  past: { label: 'simple past' },
+  perfect: { label: 'perfectum' }
+}
+
+/**
+ * JSON schema sent to the AI for the nouns and verbs to drill
+ */
+export const DRILLS_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    nouns: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          noun: { type: 'STRING' },
+          article: { type: 'STRING', enum: ['de', 'het'] },
+          english: { type: 'STRING' },
+          sentence: { type: 'STRING' }
+        },
+        required: ['noun', 'article', 'english', 'sentence']
+      }
+    },
+    verbs: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          infinitive: { type: 'STRING' },
+          english: { type: 'STRING' },
+          subject: { type: 'STRING' },
+          tense: { type: 'STRING', enum: Object.keys(VERB_TENSES) },
+          form: { type: 'STRING' },
+          distractors: { type: 'ARRAY', items: { type: 'STRING' } },
+          sentence: { type: 'STRING' }
+        },
+        required: ['infinitive', 'english', 'subject', 'tense', 'form', 'distractors', 'sentence']
+      }
+    }
+  },
+  required: ['nouns', 'verbs']
+}
+
+/**
+ * The exercise's Dutch sentences: the source text of Dutch to English exercises, otherwise the
+ * reference (or the learner's own) translations. Empty for pairs without Dutch.
+ */
+export function getDutchSentences(translation) {
+  const pair = getLanguagePair(translation)
+  const sentences = translation?.sentences || []
+
+  if (pair.source.code === 'nl') {
+    return sentences.map(s => s.english?.trim()).filter(Boolean)
+  }
+  if (pair.target.code === 'nl') {
+    return sentences.map(s => getReferenceTranslation(s) || s.dutch?.trim()).filter(Boolean)
+  }
+  return []
+}
+
+const clean = value => (typeof value === 'string' ? value.trim() : '')
+
+/**
+ * Validate a parsed drills response, dropping incomplete items and duplicates
+ */
+export function normalizeDrills(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Invalid drills format')
+  }
+
+  const nouns = []
+  for (const item of Array.isArray(data.nouns) ? data.nouns : []) {
+    const noun = clean(item?.noun).replace(/^(de|het)\s+/i, '')
+    const article = clean(item?.article).toLowerCase()
+    if (!noun || !['de', 'het'].includes(article)) continue
+    if (nouns.some(n => n.noun.toLowerCase() === noun.toLowerCase())) continue
+    nouns.push({ noun, article, english: clean(item?.english), sentence: clean(item?.sentence) })
+  }
+
+  const verbs = (Array.isArray(data.verbs) ? data.verbs : [])
+    .map(item => {
+      const form = clean(item?.form)
+      const distractors = [...new Set((Array.isArray(item?.distractors) ? item.distractors : []).map(clean))]
+        .filter(d => d && d.toLowerCase() !== form.toLowerCase())
+      return {
+        infinitive: clean(item?.infinitive),
+        english: clean(item?.english),
+        subject: clean(item?.subject),
+        tense: VERB_TENSES[item?.tense] ? item.tense : 'present',
+        form,
+        distractors,
+        sentence: clean(item?.sentence)
+      }
+    })
+    .filter(item => item.infinitive && item.subject && item.form && item.distractors.length > 0)
+
+  return { nouns, verbs }
+}
+
+function shuffle(items, random) {
+  const result = [...items]
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    ;[result[i], result[j]] = [result[j], result[i]]
+  }
+  return result
+}
+
+/**
+ * Turn drill content into multiple-choice questions in random order.
+ * Each question is { id, type: 'article' | 'conjugation', prompt, hint, options, answer, word, english, example }
+ * where `word` is the Dutch noun or infinitive. Pass `random` for a fixed order.
+ */
+export function buildDrillQuestions(content, { random = Math.random } = {}) {
+  const articles = (content?.nouns || []).map((noun, index) => ({
+    id: `article-${index}`,
+    type: 'article',
+    prompt: `___ ${noun.noun}`,
+    hint: noun.english,
+    options: ['de', 'het'],
+    answer: noun.article,
+    word: noun.noun,
+    english: noun.english,
+    example: noun.sentence
+  }))
+
+  const conjugations = (content?.verbs || []).map((verb, index) => ({
+    id: `conjugation-${index}`,
+    type: 'conjugation',
+    prompt: `${verb.subject} ___`,
+    hint: `${verb.infinitive} (${verb.english}), ${VERB_TENSES[verb.tense].label}`,
+    options: shuffle([verb.form, ...verb.distractors.slice(0, 3)], random),
+    answer: verb.form,
+    word: verb.infinitive,
+    english: verb.english,
+    example: verb.sentence
+  }))
+
+  return shuffle([...articles, ...conjugations], random)
+}
+
+/**
+ * Count the correct answers per drill type for a finished session.
+ * `answers` are { question, choice } pairs.
+ */
+export function summarizeDrillSession(answers) {
+  const summary = {
+    article: { correct: 0, total: 0 },
+    conjugation: { correct: 0, total: 0 }
+  }
+
+  for (const { question, choice } of answers) {
+    summary[question.type].total++
+    if (choice === question.answer) summary[question.type].correct++
+  }
+  return summary
+}
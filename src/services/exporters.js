@@ -0,0 +1,235 @@
+/**
+ * Export an exercise's sentence pairs for use outside the app:
+ * Anki-importable TSV, CSV, Markdown and a printable HTML document.
+ *
+ * Corrections and suggested translations come from the cached AI reviews on each sentence.
+ */
+
+import {
+  ASSESSMENTS,
+  getAssessment,
+  getSentenceScore,
+  getSuggestedTranslation,
+  getExerciseGrade,
+  isStructuredReview
+} from './reviewContent'
+import { getLanguagePair, getPairLabel } from './languages'
+
+export const EXPORT_FORMATS = {
+  ANKI: { id: 'anki', label: 'Anki deck (TSV)', extension: 'tsv', mimeType: 'text/tab-separated-values' },
+  CSV: { id: 'csv', label: 'Spreadsheet (CSV)', extension: 'csv', mimeType: 'text/csv' },
+  MARKDOWN: { id: 'markdown', label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  HTML: { id: 'html', label: 'Printable document (HTML)', extension: 'html', mimeType: 'text/html' }
+}
+
+/**
+ * Collect what every format needs from a sentence: the texts, the correction data and the review result
+ */
+function toExportRow(sentence, index) {
+  const content = sentence.aiReview?.content
+  const assessment = getAssessment(sentence.aiReview)
+  const structured = isStructuredReview(content)
+
+  return {
+    number: index + 1,
+    english: sentence.english.trim(),
+    dutch: sentence.dutch.trim(),
+    suggested: getSuggestedTranslation(sentence.aiReview),
+    alternative: structured ? content.alternativeTranslation || null : null,
+    corrections: structured ? content.corrections || [] : [],
+    assessment: assessment ? ASSESSMENTS[assessment].label : null,
+    score: getSentenceScore(sentence),
+    stale: !!sentence.aiReview?.stale
+  }
+}
+
+function getRows(translation) {
+  return (translation.sentences || [])
+    .filter(s => s.english?.trim())
+    .map(toExportRow)
+}
+
+/**
+ * Anki's plain-text import treats tabs and newlines as field and note separators
+ */
+function ankiField(text) {
+  return (text || '').replace(/[\t\r\n]+/g, ' ')
+}
+
+/**
+ * Anki notes with the source text on the front and the best translation on the back:
+ * the review's suggestion when there is one, otherwise the user's own translation.
+ * Untranslated sentences are left out.
+ */
+export function toAnkiTSV(translation) {
+  const tag = translation.title.trim().replace(/\s+/g, '_') || 'exercise'
+  const lines = [
+    '#separator:tab',
+    '#html:false',
+    `#tags:DutchGhostWriter ${ankiField(tag)}`
+  ]
+
+  for (const row of getRows(translation)) {
+    const back = row.suggested || row.dutch
+    if (!back) continue
+    lines.push(`${ankiField(row.english)}\t${ankiField(back)}`)
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+function csvField(value) {
+  const text = value == null ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * One row per sentence with the user's translation and the review result.
+ * Starts with a byte order mark so Excel reads the file as UTF-8.
+ */
+export function toCSV(translation) {
+  const { source, target } = getLanguagePair(translation)
+  const header = ['#', source.name, `Your translation (${target.name})`, 'Suggested translation', 'Assessment', 'Score']
+  const rows = getRows(translation).map(row => [
+    row.number,
+    row.english,
+    row.dutch,
+    row.suggested,
+    row.assessment,
+    row.score
+  ])
+
+  return '\uFEFF' + [header, ...rows].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n'
+}
+
+function formatGrade(translation) {
+  const { grade, scoredCount } = getExerciseGrade(translation.sentences)
+  return grade === null ? null : `${grade.toFixed(1)} / 10 (${scoredCount} reviewed)`
+}
+
+/**
+ * Markdown document with each sentence, the user's translation and the review's corrections
+ */
+export function toMarkdown(translation) {
+  const lines = [`# ${translation.title}`, '', getPairLabel(getLanguagePair(translation)), '']
+  const grade = formatGrade(translation)
+  if (grade) {
+    lines.push(`**Grade:** ${grade}`, '')
+  }
+
+  for (const row of getRows(translation)) {
+    lines.push(`## ${row.number}. ${row.english}`, '')
+    lines.push(`- **Your translation:** ${row.dutch || '_(not translated)_'}`)
+    if (row.assessment) {
+      lines.push(`- **Assessment:** ${row.assessment}${row.stale ? ' (translation changed since review)' : ''}`)
+    }
+    if (row.suggested) {
+      lines.push(`- **Suggested:** ${row.suggested}`)
+    }
+    if (row.alternative) {
+      lines.push(`- **Alternative:** ${row.alternative}`)
+    }
+    for (const correction of row.corrections) {
+      lines.push(`- ~~${correction.wrong}~~ → **${correction.right}**: ${correction.explanation}`)
+    }
+    lines.push('')
+  }
+
+  return lines.join('\n')
+}
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+const PRINT_STYLES = `
+  body { font-family: Georgia, 'Times New Roman', serif; color: #111; max-width: 760px; margin: 32px auto; padding: 0 24px; line-height: 1.5; }
+  h1 { font-size: 1.6rem; margin: 0 0 4px; }
+  .meta { color: #555; font-size: 0.9rem; margin: 0 0 24px; }
+  .sentence { border-top: 1px solid #ccc; padding: 12px 0; break-inside: avoid; }
+  .english { font-weight: bold; margin: 0 0 6px; }
+  .label { display: inline-block; min-width: 9em; color: #555; font-size: 0.85rem; }
+  .line { margin: 2px 0; }
+  .empty { color: #999; font-style: italic; }
+  .blank { display: inline-block; width: 70%; border-bottom: 1px solid #999; }
+  .suggested { color: #0a6b2d; }
+  ul { margin: 6px 0 0; padding-left: 20px; font-size: 0.9rem; }
+  del { color: #b00020; }
+  ins { color: #0a6b2d; text-decoration: none; font-weight: bold; }
+  @media print { body { margin: 0; max-width: none; } }
+`
+
+/**
+ * Standalone HTML worksheet, ready to print or save as PDF.
+ * Untranslated sentences get a blank line to write on.
+ */
+export function toPrintableHTML(translation) {
+  const grade = formatGrade(translation)
+  const meta = [
+    getPairLabel(getLanguagePair(translation)),
+    `${translation.sentences?.length || 0} sentences`,
+    grade && `Grade: ${grade}`
+  ]
+    .filter(Boolean)
+    .join(' · ')
+
+  const sentences = getRows(translation).map(row => {
+    const lines = [
+      `<p class="english">${row.number}. ${escapeHtml(row.english)}</p>`,
+      `<p class="line"><span class="label">Your translation</span>${row.dutch ? escapeHtml(row.dutch) : '<span class="blank">&nbsp;</span>'}</p>`
+    ]
+    if (row.assessment) {
+      lines.push(`<p class="line"><span class="label">Assessment</span>${escapeHtml(row.assessment)}${row.stale ? ' <span class="empty">(translation changed since review)</span>' : ''}</p>`)
+    }
+    if (row.suggested) {
+      lines.push(`<p class="line suggested"><span class="label">Suggested</span>${escapeHtml(row.suggested)}</p>`)
+    }
+    if (row.alternative) {
+      lines.push(`<p class="line"><span class="label">Alternative</span>${escapeHtml(row.alternative)}</p>`)
+    }
+    if (row.corrections.length > 0) {
+      const items = row.corrections.map(c =>
+        `<li><del>${escapeHtml(c.wrong)}</del> → <ins>${escapeHtml(c.right)}</ins>: ${escapeHtml(c.explanation)}</li>`
+      )
+      lines.push(`<ul>${items.join('')}</ul>`)
+    }
+    return `<section class="sentence">${lines.join('\n')}</section>`
+  })
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(translation.title)}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(translation.title)}</h1>
+<p class="meta">${escapeHtml(meta)}</p>
+${sentences.join('\n')}
+</body>
+</html>
+`
+}
+
+const EXPORTERS = {
+  [EXPORT_FORMATS.ANKI.id]: toAnkiTSV,
+  [EXPORT_FORMATS.CSV.id]: toCSV,
+  [EXPORT_FORMATS.MARKDOWN.id]: toMarkdown,
+  [EXPORT_FORMATS.HTML.id]: toPrintableHTML
+}
+
+/**
+ * Render an exercise in one of EXPORT_FORMATS (by id)
+ */
+export function exportTranslation(translation, formatId) {
+  const exporter = EXPORTERS[formatId]
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${formatId}`)
+  }
+  return exporter(translation)
+}
@@ -0,0 +1,60 @@
+/**
+ * Helpers for saving generated files from the browser
+ */
+
+import logger from './logger'
+
+/**
+ * Today's date as YYYY-MM-DD, for use in file names
+ */
+export function dateStamp(date = new Date()) {
+  return date.toISOString().slice(0, 10)
+}
+
+/**
+ * Make a string safe to use as a file name
+ */
+export function toFileName(text, fallback = 'export') {
+  const name = (text || '')
+    .replace(/[\\/:*?"<>|]+/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/\.+$/, '')
+    .slice(0, 60)
+  return name || fallback
+}
+
+/**
+ * Download text content as a file
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+  logger.action(`Downloading file: ${filename}`)
+
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Open an HTML document in a new window and show the browser's print dialog,
+ * where it can also be saved as PDF
+ */
+export function printDocument(html) {
+  logger.action('Opening print window')
+
+  const printWindow = window.open('', '_blank')
+  if (!printWindow) {
+    throw new Error('The print window was blocked. Allow pop-ups for this site, or download the document instead.')
+  }
+
+  printWindow.document.open()
+  printWindow.document.write(html)
+  printWindow.document.close()
+  printWindow.focus()
+  printWindow.print()
+}
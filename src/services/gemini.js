@@ -1,92 +1,143 @@
 /**
- * Gemini API service for text generation and API key validation
+ * AI service for text generation, translation reviews and provider validation.
+ * Requests go through the configured LLM provider (see providers.js); every function
+ * takes a provider config ({ provider, apiKey, model, baseUrl, timeout }) as its first argument.
+ * Failures resolve to { success: false, error, errorType } where errorType is one of ERROR_TYPES;
+ * pass `signal` in the options to cancel a request.
+ * Prompts follow the exercise's language pair, passed as `options.pair` (see languages.js);
+ * without one they assume English to Dutch.
  */
 
 import logger from './logger'
-
-const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models'
-const MODEL = 'gemini-2.5-flash-lite'
+import { generateContent, streamContent } from './providers'
+import { ERROR_TYPES, isCancelledError } from './http'
+import { REVIEW_SCHEMA, BATCH_REVIEW_SCHEMA, ERROR_CATEGORIES, normalizeReview, parsePartialReview } from './reviewContent'
+import { HINTS_SCHEMA, normalizeHints } from './hints'
+import { REGRADE_SCHEMA, normalizeRegrade } from './quiz'
+import { DRILLS_SCHEMA, normalizeDrills } from './drills'
+import { DEFAULT_LANGUAGE_PAIR, resolveLanguagePair } from './languages'
+import { splitIntoSentences } from './sentenceSplitter'
 
 /**
- * Preset topic suggestions for text generation
+ * Preset topic suggestions for text generation.
+ * Prompts don't name a language; generateText asks for the exercise's source language.
  */
 export const PRESET_TOPICS = [
-  { id: 'conversation', label: 'Daily conversation', prompt: 'Generate a short everyday conversation in English about greeting someone and asking how they are doing.' },
-  { id: 'travel', label: 'Travel scenarios', prompt: 'Generate a short English text about traveling, asking for directions, or checking into a hotel.' },
-  { id: 'food', label: 'Food and dining', prompt: 'Generate a short English text about ordering food at a restaurant or discussing favorite meals.' },
-  { id: 'shopping', label: 'Shopping', prompt: 'Generate a short English text about shopping for clothes or groceries, including prices and sizes.' },
-  { id: 'weather', label: 'Weather discussion', prompt: 'Generate a short English text discussing the weather and making plans based on it.' }
+  { id: 'conversation', label: 'Daily conversation', prompt: 'Generate a short everyday conversation about greeting someone and asking how they are doing.' },
+  { id: 'travel', label: 'Travel scenarios', prompt: 'Generate a short text about traveling, asking for directions, or checking into a hotel.' },
+  { id: 'food', label: 'Food and dining', prompt: 'Generate a short text about ordering food at a restaurant or discussing favorite meals.' },
+  { id: 'shopping', label: 'Shopping', prompt: 'Generate a short text about shopping for clothes or groceries, including prices and sizes.' },
+  { id: 'weather', label: 'Weather discussion', prompt: 'Generate a short text discussing the weather and making plans based on it.' }
 ]
 
 /**
- * Call the Gemini API with a prompt
+ * CEFR levels a generated text can be written for, with the guidance given to the AI
+ * and the typical length of a sentence at that level in characters
  */
-async function callGeminiAPI(apiKey, prompt) {
-  const endpoint = `${GEMINI_API_BASE}/${MODEL}:generateContent?key=${apiKey}`
-  
-  logger.apiRequest(endpoint, 'POST', { promptLength: prompt.length })
-  
-  const response = await fetch(endpoint, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }],
-      generationConfig: {
-        temperature: 0.7,
-        topK: 40,
-        topP: 0.95,
-        maxOutputTokens: 1024
-      }
-    })
-  })
-  
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}))
-    logger.apiFail(endpoint, { status: response.status, error: errorData })
-    throw new Error(errorData.error?.message || `API request failed with status ${response.status}`)
+export const CEFR_LEVELS = [
+  { id: 'A1', label: 'A1 – Beginner', sentenceLength: 45, guidance: 'very short, simple sentences with basic everyday vocabulary, mostly in the present tense' },
+  { id: 'A2', label: 'A2 – Elementary', sentenceLength: 60, guidance: 'short sentences about familiar topics with common vocabulary and simple past and future tenses' },
+  { id: 'B1', label: 'B1 – Intermediate', sentenceLength: 80, guidance: 'clear standard language about familiar matters, with some compound sentences and connecting words' },
+  { id: 'B2', label: 'B2 – Upper intermediate', sentenceLength: 100, guidance: 'varied sentence structures and vocabulary, including opinions and some abstract topics' },
+  { id: 'C1', label: 'C1 – Advanced', sentenceLength: 120, guidance: 'complex, idiomatic sentences with nuanced vocabulary and a natural, fluent style' }
+]
+
+// Typical sentence length in characters when no level is chosen
+const DEFAULT_SENTENCE_LENGTH = 80
+
+/**
+ * Grammar points of the language being learned that a generated text can practice
+ */
+export const GRAMMAR_FOCUSES = [
+  { id: 'perfectum', label: 'Perfectum', hint: 'the present perfect (perfectum) for completed past events' },
+  { id: 'separable_verbs', label: 'Separable verbs', hint: 'separable verbs, split in main clauses' },
+  { id: 'inversion', label: 'Inversion', hint: 'inversion: sentences starting with a time, place or other adverbial, so the verb comes before the subject' },
+  { id: 'relative_clauses', label: 'Relative clauses', hint: 'relative clauses, with the verb at the end of the clause' }
+]
+
+export const SENTENCE_COUNT_OPTIONS = [5, 8, 10, 15, 20]
+
+/**
+ * Whether a text of `sentenceCount` sentences at a CEFR level (or any level) is likely to fit
+ * within `maxLength` characters, so the text doesn't have to be cut short
+ */
+export function fitsSentenceCount(sentenceCount, maxLength, level = null) {
+  const cefr = CEFR_LEVELS.find(l => l.id === level)
+  return sentenceCount * (cefr?.sentenceLength || DEFAULT_SENTENCE_LENGTH) <= maxLength
+}
+
+/**
+ * Describe the chosen level, length and grammar focus for the generation prompt.
+ * Unknown values are ignored; returns an empty string when nothing was chosen.
+ */
+function formatGenerationOptions({ level, sentenceCount, grammarFocus = [] }, { source, target }) {
+  const lines = []
+
+  const cefr = CEFR_LEVELS.find(l => l.id === level)
+  if (cefr) {
+    lines.push(`- Write for learners at CEFR level ${cefr.id}: ${cefr.guidance}.`)
   }
-  
-  const data = await response.json()
-  logger.apiSuccess(endpoint, { hasResponse: !!data.candidates })
-  
-  return data
+  if (Number.isInteger(sentenceCount) && sentenceCount > 0) {
+    lines.push(`- Write exactly ${sentenceCount} sentences.`)
+  }
+
+  const focuses = GRAMMAR_FOCUSES.filter(f => grammarFocus.includes(f.id))
+  if (focuses.length > 0) {
+    // The grammar belongs to the language being learned, which is the source in reverse exercises
+    lines.push(target.code === 'en'
+      ? `- Include several sentences that practice these ${source.name} grammar points:`
+      : `- The learner will translate the text into ${target.name}. Include several sentences whose ${target.name} translation practices:`)
+    focuses.forEach(f => lines.push(`  - ${f.hint}`))
+  }
+
+  return lines.length > 0 ? `\n\nLearner requirements:\n${lines.join('\n')}` : ''
 }
 
 /**
- * Extract text content from Gemini API response
+ * Cut text that is longer than `maxLength` after its last complete sentence that fits,
+ * one sentence per line. Only text whose first sentence is already too long is cut mid-sentence.
  */
-function extractTextFromResponse(response) {
-  if (!response.candidates || response.candidates.length === 0) {
-    throw new Error('No response generated')
+function truncateToSentences(text, maxLength, lang) {
+  if (text.length <= maxLength) return text
+
+  const kept = []
+  let length = 0
+  for (const sentence of splitIntoSentences(text, lang)) {
+    const added = kept.length > 0 ? sentence.length + 1 : sentence.length
+    if (length + added > maxLength) break
+    kept.push(sentence)
+    length += added
   }
-  
-  const candidate = response.candidates[0]
-  if (!candidate.content || !candidate.content.parts) {
-    throw new Error('Invalid response format')
+  return kept.length > 0 ? kept.join('\n') : text.substring(0, maxLength)
+}
+
+/**
+ * Get the language pair for a request, defaulting to English to Dutch
+ */
+function getPair(options) {
+  return options.pair || resolveLanguagePair(DEFAULT_LANGUAGE_PAIR)
+}
+
+/**
+ * Log a failed request and build the failure result returned to callers
+ */
+function failure(logMessage, error, fallbackMessage) {
+  if (isCancelledError(error)) {
+    logger.action(`${logMessage}: cancelled`)
+  } else {
+    logger.error(logMessage, error)
   }
-  
-  const textParts = candidate.content.parts
-    .filter(part => part.text)
-    .map(part => part.text)
-  
-  return textParts.join('\n').trim()
+  return { success: false, error: error.message || fallbackMessage, errorType: error.type || ERROR_TYPES.UNKNOWN }
 }
 
 /**
- * Validate an API key by making a test request
+ * Validate a provider config (API key, model and base URL) by making a test request
  */
-export async function validateApiKey(apiKey) {
-  logger.api('Validating API key...')
+export async function validateApiKey(config) {
+  logger.api(`Validating ${config.provider} connection...`)
   
   try {
-    const response = await callGeminiAPI(apiKey, 'Say "Hello" in one word.')
-    const text = extractTextFromResponse(response)
+    const text = await generateContent(config, 'Say "Hello" in one word.')
     
     if (text) {
       logger.actionSuccess('API key is valid')
@@ -97,75 +148,86 @@ export async function validateApiKey(apiKey) {
     }
   } catch (error) {
     logger.error('API key validation failed', error)
-    return { valid: false, message: error.message || 'Failed to validate API key' }
+    return { valid: false, message: error.message || 'Failed to validate API key', errorType: error.type || ERROR_TYPES.UNKNOWN }
   }
 }
 
 /**
- * Generate English text using a custom prompt
+ * Generate source-language text using a custom prompt.
+ * `options.level` (a CEFR_LEVELS id), `options.sentenceCount` and `options.grammarFocus`
+ * (GRAMMAR_FOCUSES ids) tailor the text to the learner.
  */
-export async function generateText(apiKey, userPrompt, maxLength = 1000) {
-  logger.api('Generating text with custom prompt')
+export async function generateText(config, userPrompt, maxLength = 1000, options = {}) {
+  logger.api('Generating text with custom prompt', {
+    level: options.level || null,
+    sentenceCount: options.sentenceCount || null,
+    grammarFocus: options.grammarFocus || []
+  })
   
-  const systemPrompt = `You are a helpful assistant that generates English text for language learning purposes. 
-Generate clear, natural English text based on the user's request.
+  const pair = getPair(options)
+  const language = pair.source.name
+  const systemPrompt = `You are a helpful assistant that generates ${language} text for language learning purposes. 
+Generate clear, natural ${language} text based on the user's request.
 Keep the text under ${maxLength} characters.
 Do not include any meta-commentary or explanations - just provide the text itself.
 Make sure the text contains complete sentences that are suitable for translation practice.
-IMPORTANT: Each sentence must start on a new line.`
+IMPORTANT: Each sentence must start on a new line.${formatGenerationOptions(options, pair)}`
 
   const fullPrompt = `${systemPrompt}\n\nUser request: ${userPrompt}`
   
   try {
-    const response = await callGeminiAPI(apiKey, fullPrompt)
-    const text = extractTextFromResponse(response)
+    const text = await generateContent(config, fullPrompt, { signal: options.signal })
     
-    // Truncate if needed
-    const truncatedText = text.length > maxLength ? text.substring(0, maxLength) : text
+    // Truncate if needed, without leaving half a sentence at the end
+    const truncatedText = truncateToSentences(text, maxLength, pair.source.code)
     
     logger.actionSuccess('Text generated', { length: truncatedText.length })
     return { success: true, text: truncatedText }
   } catch (error) {
-    logger.error('Text generation failed', error)
-    return { success: false, error: error.message || 'Failed to generate text' }
+    return failure('Text generation failed', error, 'Failed to generate text')
   }
 }
 
 /**
- * Generate text using a preset topic
+ * Generate text using a preset topic.
+ * The user's own presets (see the settings store) can be passed as `options.customPresets`.
  */
-export async function generateFromPreset(apiKey, presetId, maxLength = 1000) {
-  const preset = PRESET_TOPICS.find(p => p.id === presetId)
+export async function generateFromPreset(config, presetId, maxLength = 1000, options = {}) {
+  const preset = [...PRESET_TOPICS, ...(options.customPresets || [])].find(p => p.id === presetId)
   if (!preset) {
     logger.warn(`Invalid preset topic requested: ${presetId}`)
-    return { success: false, error: 'Invalid preset topic' }
+    return { success: false, error: 'Invalid preset topic', errorType: ERROR_TYPES.UNKNOWN }
   }
   
   logger.api(`Generating text from preset: ${preset.label}`)
-  return generateText(apiKey, preset.prompt, maxLength)
+  return generateText(config, preset.prompt, maxLength, options)
 }
 
 /**
- * Split text into sentences
- * Uses a hybrid approach: first splits by newlines (for headlines/AI-formatted text),
- * then splits each line by sentence-ending punctuation (for multiple sentences per line)
+ * Generate text that practices the learner's weak spots (see weakSpots.js):
+ * sentences whose translation needs the error categories and corrected words from past reviews.
  */
-export function splitIntoSentences(text) {
-  logger.action('Splitting text into sentences')
-  
-  // First split by newlines to handle headlines and AI-formatted text
-  const lines = text.split(/\n/).map(s => s.trim()).filter(s => s.length > 0)
-  
-  // Then split each line by sentence-ending punctuation followed by whitespace
-  const sentences = lines.flatMap(line =>
-    line
-      .split(/(?<=[.!?])\s+/)
-      .map(s => s.trim())
-      .filter(s => s.length > 0)
-  )
-  
-  logger.actionSuccess(`Split into ${sentences.length} sentences`)
-  return sentences
+export async function generateWeakSpotText(config, weakSpots, maxLength = 1000, options = {}) {
+  logger.api('Generating text from weak spots', {
+    categories: weakSpots.categories.map(c => c.id),
+    words: weakSpots.words.length
+  })
+
+  const { source, target } = getPair(options)
+  const lines = [
+    `Generate a short text whose ${target.name} translation gives the learner practice with the mistakes they make most often.`
+  ]
+  if (weakSpots.categories.length > 0) {
+    lines.push(`Recurring kinds of mistakes in their ${target.name}:`)
+    lines.push(...weakSpots.categories.map(c => `- ${c.label}: ${c.hint}`))
+  }
+  if (weakSpots.words.length > 0) {
+    lines.push(`${target.name} words and phrases they got wrong (their version → the correct one):`)
+    lines.push(...weakSpots.words.map(w => `- "${w.wrong}" → "${w.right}"`))
+  }
+  lines.push(`Write natural ${source.name} sentences that can only be translated well by getting these right, on one everyday topic. Do not mention the mistakes or the ${target.name} words in the text.`)
+
+  return generateText(config, lines.join('\n'), maxLength, options)
 }
 
 /**
@@ -179,15 +241,55 @@ function formatContextSentences(sentences) {
 }
 
 /**
- * Review a user's Dutch translation using AI
+ * Line added under the user's translation when it was dictated with speech recognition
+ */
+function formatSpokenTranslation(spoken, translation) {
+  if (!spoken) return ''
+  const edited = spoken.trim() === translation.trim() ? '' : ' (the user corrected it by typing afterwards)'
+  return `\n- Heard by speech recognition: ${spoken}${edited}`
+}
+
+/**
+ * Guidance for reviewing translations that were spoken instead of typed
  */
-export async function reviewTranslation(apiKey, englishText, dutchTranslation, contextBefore = [], contextAfter = []) {
+function speechGuidance(hasSpoken) {
+  if (!hasSpoken) return ''
+  return `
+Where a translation was dictated, speech recognition wrote down what the user said. When a mistake looks like the recognizer misheard the user, for example a word that sounds like the correct one or a wrongly split compound, still correct it and say in the explanation that it is probably a pronunciation issue and which sound to work on.
+`
+}
+
+/**
+ * Field guidance shared by single and batch review prompts
+ */
+function reviewGuidelines({ target }) {
+  return `## Response Fields
+- assessment: one of "excellent", "good", "needs_improvement", "incorrect". Use "excellent" only when no corrections are needed.
+- corrections: one entry per error, with the incorrect word/phrase ("wrong"), the correct word/phrase ("right"), a brief explanation and a category. Use an empty list when there are no errors.
+  The category names the kind of error, one of:
+${Object.entries(ERROR_CATEGORIES).map(([id, { hint }]) => `  - "${id}": ${hint}`).join('\n')}
+- suggestedTranslation: your recommended ${target.name} translation
+- alternativeTranslation: another natural ${target.name} translation
+- grammarTips: one or two tips about a grammar rule used in the sentence (for example ${target.grammarTopics}), each with a short ${target.name} example
+
+Keep explanations short (one or two sentences) and write them in English.`
+}
+
+/**
+ * Review a user's translation using AI.
+ * The review is streamed; `options.onPartial` receives the partially parsed review as it arrives
+ * and `options.signal` aborts the request. Only the complete review is returned.
+ * `options.spoken` is the text speech recognition heard when the translation was dictated.
+ */
+export async function reviewTranslation(config, englishText, dutchTranslation, contextBefore = [], contextAfter = [], options = {}) {
   logger.api('Reviewing translation with AI')
   
+  const pair = getPair(options)
+  const { source, target } = pair
   const precedingSentences = formatContextSentences(contextBefore)
   const followingSentences = formatContextSentences(contextAfter)
   
-  const prompt = `You are a Dutch language tutor reviewing an English to Dutch translation. Be encouraging but thorough in your feedback.
+  const prompt = `You are a ${target.name} language tutor reviewing a ${source.name} to ${target.name} translation. Be encouraging but thorough in your feedback.
 
 ## Context
 The sentence being translated is part of a larger text. Here is the surrounding context:
@@ -196,56 +298,224 @@ The sentence being translated is part of a larger text. Here is the surrounding
 ${precedingSentences}
 
 **Sentence to review:**
-- English: ${englishText}
-- User's translation: ${dutchTranslation}
+- ${source.name}: ${englishText}
+- User's translation: ${dutchTranslation}${formatSpokenTranslation(options.spoken, dutchTranslation)}
 
 **Following sentences:**
 ${followingSentences}
 
 ## Your Task
-1. **Evaluate** the user's Dutch translation for accuracy, grammar, and natural phrasing
+1. **Evaluate** the user's ${target.name} translation for accuracy, grammar, and natural phrasing
 2. **Identify** any errors or areas for improvement
 3. **Provide** a corrected/improved translation
+${speechGuidance(!!options.spoken)}
+${reviewGuidelines(pair)}`
+
+  try {
+    const response = await streamContent(
+      config,
+      prompt,
+      { responseSchema: REVIEW_SCHEMA, maxOutputTokens: 2048, signal: options.signal },
+      text => {
+        const partial = parsePartialReview(text)
+        if (partial && options.onPartial) options.onPartial(partial)
+      }
+    )
+    const reviewContent = normalizeReview(JSON.parse(response))
+    
+    logger.actionSuccess('Translation review generated')
+    return { success: true, content: reviewContent }
+  } catch (error) {
+    return failure('Translation review failed', error, 'Failed to review translation')
+  }
+}
 
-## Response Format
-Respond using Markdown with the following structure:
+/**
+ * Review several translations in one request.
+ * Each item is { id, english, dutch, spoken?, before, after }; results are matched back by id.
+ */
+export async function reviewTranslationsBatch(config, items, options = {}) {
+  logger.api(`Reviewing ${items.length} translations with AI`)
+  
+  const pair = getPair(options)
+  const { source, target } = pair
+  const sentenceBlocks = items.map(item => `### Sentence ${item.id}
+**Preceding sentences:**
+${formatContextSentences(item.before)}
 
-### Overall Assessment
-[One of: ✅ Excellent | 👍 Good | ⚠️ Needs Improvement | ❌ Incorrect]
-[Use excellent when there are no corrections needed]
+- ${source.name}: ${item.english}
+- User's translation: ${item.dutch}${formatSpokenTranslation(item.spoken, item.dutch)}
 
-### Corrections
-[If there are errors, list them as bullet points. Format each as:]
-- **[incorrect word/phrase]** → **[correct word/phrase]**: [brief explanation in italics]
+**Following sentences:**
+${formatContextSentences(item.after)}`).join('\n\n')
+
+  const prompt = `You are a ${target.name} language tutor reviewing ${source.name} to ${target.name} translations. Be encouraging but thorough in your feedback.
 
-[If no corrections needed, write: "No corrections needed - great job!"]
+Each sentence below is part of a larger text and comes with its surrounding context. Review every sentence separately and return one review per sentence, with "sentenceId" set to the number in the sentence heading.
 
-### Suggested Translation
-> [Your recommended Dutch translation in a blockquote]
+${sentenceBlocks}
+${speechGuidance(items.some(item => item.spoken))}
+${reviewGuidelines(pair)}`
+
+  try {
+    const response = await generateContent(config, prompt, {
+      responseSchema: BATCH_REVIEW_SCHEMA,
+      maxOutputTokens: 1024 * (items.length + 1),
+      signal: options.signal
+    })
+    const data = JSON.parse(response)
+    const ids = new Set(items.map(item => item.id))
+    
+    const reviews = (Array.isArray(data.reviews) ? data.reviews : [])
+      .filter(review => ids.has(review?.sentenceId))
+      .map(review => ({ sentenceId: review.sentenceId, content: normalizeReview(review) }))
+    
+    logger.actionSuccess('Batch review generated', { requested: items.length, received: reviews.length })
+    return { success: true, reviews }
+  } catch (error) {
+    return failure('Batch review failed', error, 'Failed to review translations')
+  }
+}
 
-### Alternative Translation
-> [An alternative Dutch translation in a blockquote]
+/**
+ * Translate a single source-language word, using its sentence for context
+ */
+export async function translateWord(config, word, sentence = '', options = {}) {
+  logger.api(`Translating word: ${word}`)
+  
+  const { source, target } = getPair(options)
+  const prompt = `You are a ${target.name} language tutor helping a learner with an unknown word.
 
-### 💡 Grammar Tips
-- [One helpful tip about a grammar rule used in the sentence. Use \`inline code\` for specific Dutch words or grammar terms.]
-- [Examples of that grammar rule]
+Translate the ${source.name} word "${word}" to ${target.name}${sentence ? ` as it is used in this sentence: "${sentence}"` : ''}.
 
-## Styling Guidelines
-- Use **bold** for Dutch words and phrases that are being discussed or corrected
-- Use *italics* for explanations and grammar terminology
-- Use \`inline code\` for grammar terms (e.g., \`de-woorden\`, \`het-woorden\`, \`perfectum\`)
-- Use > blockquotes for the suggested translation to make it stand out
-- Use bullet points for listing multiple corrections
-- Keep paragraphs short (2-3 sentences max) for readability`
+Rules:
+- Reply with only the ${target.name} translation, no explanations or punctuation
+${target.wordRules.map(rule => `- ${rule}`).join('\n')}`
 
   try {
-    const response = await callGeminiAPI(apiKey, prompt)
-    const reviewContent = extractTextFromResponse(response)
+    const translation = (await generateContent(config, prompt, { signal: options.signal }))
+      .split('\n')[0]
+      .replace(/^["'*]+|["'*.]+$/g, '')
+      .trim()
     
-    logger.actionSuccess('Translation review generated')
-    return { success: true, content: reviewContent }
+    if (!translation) {
+      throw new Error('Received empty translation')
+    }
+    
+    logger.actionSuccess('Word translated')
+    return { success: true, translation }
+  } catch (error) {
+    return failure('Word translation failed', error, 'Failed to translate word')
+  }
+}
+
+/**
+ * Generate graded hints for translating a sentence, from the least to the most revealing:
+ * key vocabulary, the verb and word-order skeleton, and a partial translation (see hints.js)
+ */
+export async function generateHints(config, englishText, contextBefore = [], contextAfter = [], options = {}) {
+  logger.api('Generating translation hints with AI')
+  
+  const { source, target } = getPair(options)
+  const prompt = `You are a ${target.name} language tutor. A learner is translating a ${source.name} sentence to ${target.name} and asked for hints. Help them get there themselves: each hint may give away a little more, but never the whole translation.
+
+## Context
+**Preceding sentences:**
+${formatContextSentences(contextBefore)}
+
+**Sentence to translate:**
+${englishText}
+
+**Following sentences:**
+${formatContextSentences(contextAfter)}
+
+## Hints
+1. **vocabulary**: the 2-5 words the learner is most likely not to know, each with its ${source.name} word ("source") and the ${target.name} word in its dictionary form ("target"), including the article for nouns. Leave out words any beginner knows.
+2. **skeleton**: one or two sentences in ${source.name} describing the structure of the ${target.name} sentence: which verb(s) to use, in which tense, and where they go in the word order. Mention ${target.name} verb forms but not the rest of the sentence.
+3. **partial**: the ${target.name} translation with its verbs and the most important words in place and the rest of the words replaced by "___", one per word.`
+
+  try {
+    const response = await generateContent(config, prompt, {
+      responseSchema: HINTS_SCHEMA,
+      maxOutputTokens: 1024,
+      signal: options.signal
+    })
+    const hints = normalizeHints(JSON.parse(response))
+    
+    logger.actionSuccess('Translation hints generated')
+    return { success: true, hints }
+  } catch (error) {
+    return failure('Hint generation failed', error, 'Failed to generate hints')
+  }
+}
+
+/**
+ * Re-grade a quiz answer that is close to, but not the same as, the reference translation.
+ * Resolves to { success: true, grade: { verdict, score, explanation } } (see quiz.js).
+ */
+export async function regradeQuizAnswer(config, englishText, reference, answer, options = {}) {
+  logger.api('Re-grading quiz answer with AI')
+  
+  const { source, target } = getPair(options)
+  const prompt = `You are a ${target.name} language tutor grading a quiz. The learner translated a ${source.name} sentence to ${target.name}; an automatic check found their answer close to, but not the same as, the reference translation.
+
+- ${source.name}: ${englishText}
+- Reference translation: ${reference}
+- Learner's answer: ${answer}
+
+Decide whether the learner's answer is a correct translation. Other word choices or word orders that are grammatical and keep the meaning are correct, even if they differ from the reference; ignore missing accents, punctuation and capitalization.
+
+## Response Fields
+- correct: true when the answer is a correct translation
+- score: 0-100, where 100 is a perfect translation and each real mistake costs points
+- explanation: one short sentence in English saying why, naming the mistake if there is one`
+
+  try {
+    const response = await generateContent(config, prompt, {
+      responseSchema: REGRADE_SCHEMA,
+      maxOutputTokens: 512,
+      signal: options.signal
+    })
+    const grade = normalizeRegrade(JSON.parse(response))
+    
+    logger.actionSuccess('Quiz answer re-graded', { verdict: grade.verdict })
+    return { success: true, grade }
+  } catch (error) {
+    return failure('Quiz re-grade failed', error, 'Failed to re-grade the answer')
+  }
+}
+
+/**
+ * Pick nouns and verbs from Dutch sentences for de/het and conjugation drills (see drills.js).
+ * Resolves to { success: true, content: { nouns, verbs } }.
+ */
+export async function generateDrills(config, dutchSentences, options = {}) {
+  logger.api(`Generating drills from ${dutchSentences.length} sentences`)
+  
+  const prompt = `You are a Dutch language tutor preparing quick multiple-choice drills from a text a learner is working on. The sentences may contain the learner's own mistakes; always give the correct Dutch.
+
+## Sentences
+${dutchSentences.map((sentence, i) => `${i + 1}. ${sentence}`).join('\n')}
+
+## Your Task
+- nouns: up to 10 nouns from the sentences that are worth practicing, preferring het-words and nouns whose article is often confused. Give each in the singular without article ("noun"), its article ("de" or "het"), the English translation without article ("english") and the sentence it comes from ("sentence"). Leave out proper names and plural-only nouns.
+- verbs: up to 6 verbs from the sentences. For each, give the infinitive, the English infinitive with "to" ("english"), a subject pronoun (ik, jij, hij, zij, het, wij, jullie or zij), a tense ("present", "past" or "perfect", preferring the tense used in the sentence), the correctly conjugated form for that subject and tense ("form", including the auxiliary for "perfect", e.g. "heeft gekocht" or "is gegaan") and three plausible but wrong forms a learner might choose ("distractors", e.g. a wrong ending, a regular form of an irregular verb or the wrong auxiliary), plus the sentence it comes from.`
+
+  try {
+    const response = await generateContent(config, prompt, {
+      responseSchema: DRILLS_SCHEMA,
+      maxOutputTokens: 4096,
+      signal: options.signal
+    })
+    const content = normalizeDrills(JSON.parse(response))
+    
+    if (content.nouns.length === 0 && content.verbs.length === 0) {
+      throw new Error('No nouns or verbs were found to drill')
+    }
+    
+    logger.actionSuccess('Drills generated', { nouns: content.nouns.length, verbs: content.verbs.length })
+    return { success: true, content }
   } catch (error) {
-    logger.error('Translation review failed', error)
-    return { success: false, error: error.message || 'Failed to review translation' }
+    return failure('Drill generation failed', error, 'Failed to generate drills')
   }
 }
@@ -0,0 +1,77 @@
+/**
+ * Hint ladder: graded AI hints for translating a sentence, revealed one step at a time
+ * before the learner looks at a full translation.
+ *
+ * Hints are cached on the sentence as `sentence.hints` ({ content, english, generatedAt }, where
+ * `english` is the source text they were generated for) and the number revealed is `sentence.hintsUsed`.
+ * Every revealed hint lowers the sentence score by HINT_PENALTY (see getSentenceScore).
+ */
+
+/**
+ * Hint steps, from the least to the most revealing
+ */
+export const HINT_LEVELS = [
+  { id: 'vocabulary', label: 'Key words' },
+  { id: 'skeleton', label: 'Verb & word order' },
+  { id: 'partial', label: 'Partial sentence' }
+]
+
+// Score points taken off for each hint revealed
+export const HINT_PENALTY = 10
+
+/**
+ * JSON schema sent to the AI for structured hint output
+ */
+export const HINTS_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    vocabulary: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          source: { type: 'STRING' },
+          target: { type: 'STRING' }
+        },
+        required: ['source', 'target']
+      }
+    },
+    skeleton: { type: 'STRING' },
+    partial: { type: 'STRING' }
+  },
+  required: ['vocabulary', 'skeleton', 'partial'],
+  propertyOrdering: ['vocabulary', 'skeleton', 'partial']
+}
+
+/**
+ * Validate a parsed hints response and fill in missing fields
+ */
+export function normalizeHints(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Invalid hints format')
+  }
+
+  const vocabulary = (Array.isArray(data.vocabulary) ? data.vocabulary : [])
+    .filter(item => item?.source?.trim() && item?.target?.trim())
+    .map(item => ({ source: item.source.trim(), target: item.target.trim() }))
+
+  return {
+    vocabulary,
+    skeleton: typeof data.skeleton === 'string' ? data.skeleton.trim() : '',
+    partial: typeof data.partial === 'string' ? data.partial.trim() : ''
+  }
+}
+
+/**
+ * Number of hints revealed for a sentence
+ */
+export function getHintsUsed(sentence) {
+  return Math.min(HINT_LEVELS.length, Math.max(0, sentence?.hintsUsed || 0))
+}
+
+/**
+ * Check whether a sentence's cached hints were generated for its current source text
+ */
+export function hasCurrentHints(sentence) {
+  return !!sentence?.hints?.content && sentence.hints.english === sentence.english
+}
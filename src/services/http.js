@@ -0,0 +1,215 @@
+/**
+ * Network layer for AI provider requests: timeouts, retries with exponential backoff
+ * (honouring Retry-After), cancellation and typed errors.
+ */
+
+import logger from './logger'
+
+export const DEFAULT_TIMEOUT_SECONDS = 60
+
+const MAX_RETRIES = 3
+const BASE_DELAY_MS = 1000
+const MAX_DELAY_MS = 30000
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504]
+
+export const ERROR_TYPES = {
+  QUOTA: 'quota',
+  INVALID_KEY: 'invalid_key',
+  SAFETY: 'safety',
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  SERVER: 'server',
+  CANCELLED: 'cancelled',
+  UNKNOWN: 'unknown'
+}
+
+/**
+ * Title and user-facing message for each error type.
+ * Unknown errors keep the provider's own message.
+ */
+const ERROR_DESCRIPTIONS = {
+  [ERROR_TYPES.QUOTA]: {
+    title: 'Rate Limit Reached',
+    message: 'The AI provider\'s rate limit or quota was exceeded. Wait a moment and try again.'
+  },
+  [ERROR_TYPES.INVALID_KEY]: {
+    title: 'Invalid API Key',
+    message: 'The AI provider rejected your API key. Check it in Settings.'
+  },
+  [ERROR_TYPES.SAFETY]: {
+    title: 'Content Blocked',
+    message: 'The AI provider blocked this request for safety reasons. Try rephrasing the text.'
+  },
+  [ERROR_TYPES.NETWORK]: {
+    title: 'Connection Problem',
+    message: 'Could not reach the AI provider. Check your internet connection (or that Ollama is running) and try again.'
+  },
+  [ERROR_TYPES.TIMEOUT]: {
+    title: 'Request Timed Out',
+    message: 'The AI provider took too long to respond. Try again, or increase the request timeout in Settings.'
+  },
+  [ERROR_TYPES.SERVER]: {
+    title: 'Provider Unavailable',
+    message: 'The AI provider is having problems right now. Try again in a few minutes.'
+  },
+  [ERROR_TYPES.CANCELLED]: {
+    title: 'Cancelled',
+    message: 'The request was cancelled.'
+  }
+}
+
+/**
+ * Error thrown for failed AI provider requests.
+ * `type` is one of ERROR_TYPES; `detail` keeps the provider's original message.
+ */
+export class ApiError extends Error {
+  constructor(type, message, { status = null, detail = null } = {}) {
+    super(message || ERROR_DESCRIPTIONS[type]?.message || 'Request failed')
+    this.name = 'ApiError'
+    this.type = type
+    this.status = status
+    this.detail = detail
+  }
+}
+
+/**
+ * Create an ApiError of a known type with its standard message
+ */
+export function createApiError(type, detail = null, status = null) {
+  return new ApiError(type, ERROR_DESCRIPTIONS[type]?.message || detail, { status, detail })
+}
+
+/**
+ * Classify a failed HTTP response from any provider
+ */
+export function createHttpError(status, detail) {
+  let type = ERROR_TYPES.UNKNOWN
+
+  if (status === 429) {
+    type = ERROR_TYPES.QUOTA
+  } else if (status === 401 || status === 403 || (status === 400 && /api key/i.test(detail || ''))) {
+    // Gemini reports bad keys as 400 "API key not valid"
+    type = ERROR_TYPES.INVALID_KEY
+  } else if (status >= 500) {
+    type = ERROR_TYPES.SERVER
+  }
+
+  if (type === ERROR_TYPES.UNKNOWN) {
+    return new ApiError(type, detail || `API request failed with status ${status}`, { status, detail })
+  }
+  return createApiError(type, detail, status)
+}
+
+/**
+ * Check whether an error came from the user cancelling the request
+ */
+export function isCancelledError(error) {
+  return error?.type === ERROR_TYPES.CANCELLED
+}
+
+/**
+ * Get the title and message to show for an error in ErrorModal
+ */
+export function describeError(error, fallbackMessage = 'An unexpected error occurred.') {
+  const description = ERROR_DESCRIPTIONS[error?.type]
+  return {
+    title: description?.title || 'Error',
+    message: error?.message || fallbackMessage
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds, or null
+ */
+function parseRetryAfter(value) {
+  if (!value) return null
+
+  const seconds = Number(value)
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000)
+
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+/**
+ * Wait for a delay, rejecting early if the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createApiError(ERROR_TYPES.CANCELLED))
+      return
+    }
+
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+
+    function onAbort() {
+      clearTimeout(timer)
+      reject(createApiError(ERROR_TYPES.CANCELLED))
+    }
+
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Run a single fetch with a timeout, linked to the caller's abort signal
+ */
+async function fetchOnce(url, init, timeoutMs, signal) {
+  const controller = new AbortController()
+  let timedOut = false
+
+  const timer = setTimeout(() => {
+    timedOut = true
+    controller.abort()
+  }, timeoutMs)
+  const onAbort = () => controller.abort()
+  signal?.addEventListener('abort', onAbort, { once: true })
+
+  try {
+    return await fetch(url, { ...init, signal: controller.signal })
+  } catch (error) {
+    if (signal?.aborted) throw createApiError(ERROR_TYPES.CANCELLED)
+    if (timedOut) throw createApiError(ERROR_TYPES.TIMEOUT)
+    throw createApiError(ERROR_TYPES.NETWORK, error.message)
+  } finally {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', onAbort)
+  }
+}
+
+/**
+ * fetch() with a timeout, cancellation and retries for rate limits, server errors,
+ * timeouts and network failures. The timeout covers waiting for the response headers;
+ * streamed bodies are timed out between chunks in providers.js.
+ * Resolves with the final response, which may still be an error response.
+ */
+export async function fetchWithRetry(url, init = {}, { timeout = DEFAULT_TIMEOUT_SECONDS, signal, retries = MAX_RETRIES } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let retryDelay = BASE_DELAY_MS * 2 ** attempt + Math.random() * 250
+
+    try {
+      const response = await fetchOnce(url, init, timeout * 1000, signal)
+
+      if (!RETRYABLE_STATUSES.includes(response.status) || attempt >= retries) {
+        return response
+      }
+
+      const retryAfter = parseRetryAfter(response.headers.get('Retry-After'))
+      if (retryAfter !== null) {
+        // Waiting longer than this means the quota is exhausted, not just briefly limited
+        if (retryAfter > MAX_DELAY_MS) return response
+        retryDelay = retryAfter
+      }
+      logger.warn(`Request failed with status ${response.status}, retrying`, { attempt: attempt + 1, delay: Math.round(retryDelay) })
+    } catch (error) {
+      if (isCancelledError(error) || attempt >= retries) throw error
+      logger.warn(`Request failed (${error.type}), retrying`, { attempt: attempt + 1, delay: Math.round(retryDelay) })
+    }
+
+    await sleep(Math.min(retryDelay, MAX_DELAY_MS), signal)
+  }
+}
@@ -0,0 +1,236 @@
+/**
+ * Import exercise text from files: plain text, Markdown, SRT subtitles and EPUB chapters.
+ *
+ * Every file is read into `{ title, chapters: [{ title, text, sentences? }] }`.
+ * Subtitle chapters already hold one sentence per cue; other chapters are split with splitIntoSentences.
+ */
+
+import { splitIntoSentences } from './sentenceSplitter'
+import { openZip } from './zip'
+import logger from './logger'
+
+export const IMPORT_FILE_ACCEPT = '.txt,.md,.markdown,.srt,.epub'
+
+function getExtension(fileName) {
+  const match = fileName.toLowerCase().match(/\.([a-z0-9]+)$/)
+  return match ? match[1] : ''
+}
+
+function getBaseName(fileName) {
+  return fileName.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim() || 'Imported text'
+}
+
+function normalizeNewlines(text) {
+  return text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n')
+}
+
+/**
+ * Reduce Markdown to its readable text: drop code, front matter and markup, keep one block per line
+ */
+export function stripMarkdown(markdown) {
+  return normalizeNewlines(markdown)
+    .replace(/^---\n[\s\S]*?\n---\n/, '')
+    .replace(/^(```|~~~)[\s\S]*?^\1.*$/gm, '')
+    .replace(/<[^>]+>/g, '')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^[ \t]{0,3}(#{1,6}[ \t]+|>[ \t]?|[-*+][ \t]+|\d+[.)][ \t]+)/gm, '')
+    .replace(/^[ \t]*([-*_][ \t]*){3,}$/gm, '')
+    .replace(/^[ \t]*\|?([ \t]*:?-+:?[ \t]*\|)+[ \t]*$/gm, '')
+    .replace(/\|/g, ' ')
+    .replace(/(\*\*|__|~~|`)/g, '')
+    .replace(/(^|\W)[*_](\S[^*_]*?)[*_](?=\W|$)/g, '$1$2')
+}
+
+/**
+ * Extract subtitle cues from an SRT file, one sentence per cue.
+ * Formatting tags are removed and multi-line cues are joined; blocks without a timing line are skipped.
+ */
+export function parseSrt(srt) {
+  return normalizeNewlines(srt)
+    .split(/\n\s*\n/)
+    .map(block => {
+      const lines = block.split('\n').map(line => line.trim()).filter(Boolean)
+      const timing = lines.findIndex(line => line.includes('-->'))
+      return timing === -1 ? '' : lines.slice(timing + 1).join(' ')
+    })
+    .map(cue => cue.replace(/<[^>]+>/g, '').replace(/\{\\[^}]*\}/g, '').replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+}
+
+/**
+ * Resolve a relative href inside the archive against the file that contains it
+ */
+function resolvePath(basePath, href) {
+  const parts = basePath.split('/').slice(0, -1)
+  for (const segment of decodeURIComponent(href.split('#')[0]).split('/')) {
+    if (segment === '..') parts.pop()
+    else if (segment && segment !== '.') parts.push(segment)
+  }
+  return parts.join('/')
+}
+
+function parseXml(text, path) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error(`Could not read ${path} in the EPUB`)
+  }
+  return doc
+}
+
+const BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'figcaption', 'footer',
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'ol', 'p', 'pre', 'section', 'td', 'th', 'tr', 'ul'
+])
+const SKIPPED_TAGS = new Set(['head', 'script', 'style', 'nav', 'rt'])
+
+/**
+ * Get a chapter's text with one block element per line
+ */
+function extractChapterText(node) {
+  let text = ''
+
+  for (const child of node.childNodes) {
+    if (child.nodeType === Node.TEXT_NODE) {
+      text += child.nodeValue.replace(/\s+/g, ' ')
+    } else if (child.nodeType === Node.ELEMENT_NODE) {
+      const tag = child.localName.toLowerCase()
+      if (SKIPPED_TAGS.has(tag)) continue
+      text += BLOCK_TAGS.has(tag) ? `\n${extractChapterText(child)}\n` : extractChapterText(child)
+    }
+  }
+
+  return text
+}
+
+function cleanLines(text) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean).join('\n')
+}
+
+/**
+ * Read the chapters of an EPUB in reading (spine) order, skipping documents without text
+ */
+async function parseEpub(buffer, fileName) {
+  const zip = openZip(buffer)
+
+  if (!zip.has('META-INF/container.xml')) {
+    throw new Error('The file is not a valid EPUB')
+  }
+
+  const container = parseXml(await zip.readText('META-INF/container.xml'), 'container.xml')
+  const opfPath = container.getElementsByTagName('rootfile')[0]?.getAttribute('full-path')
+  if (!opfPath || !zip.has(opfPath)) {
+    throw new Error('The EPUB has no package document')
+  }
+
+  const opf = parseXml(await zip.readText(opfPath), opfPath)
+  const bookTitle = opf.getElementsByTagNameNS('*', 'title')[0]?.textContent.trim() || getBaseName(fileName)
+
+  const manifest = new Map(
+    [...opf.getElementsByTagName('item')].map(item => [item.getAttribute('id'), item])
+  )
+
+  const chapters = []
+  for (const itemref of opf.getElementsByTagName('itemref')) {
+    const item = manifest.get(itemref.getAttribute('idref'))
+    if (!item || !/html/.test(item.getAttribute('media-type') || '')) continue
+
+    const path = resolvePath(opfPath, item.getAttribute('href'))
+    if (!zip.has(path)) continue
+
+    const source = await zip.readText(path)
+    let doc = new DOMParser().parseFromString(source, 'application/xhtml+xml')
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      doc = new DOMParser().parseFromString(source, 'text/html')
+    }
+
+    const body = doc.getElementsByTagName('body')[0]
+    const text = body ? cleanLines(extractChapterText(body)) : ''
+    if (!text) continue
+
+    const heading = doc.querySelector('h1, h2, h3')?.textContent.trim()
+    const docTitle = doc.getElementsByTagName('title')[0]?.textContent.trim()
+    chapters.push({
+      title: heading || (docTitle && docTitle !== bookTitle ? docTitle : '') || `Chapter ${chapters.length + 1}`,
+      text
+    })
+  }
+
+  if (chapters.length === 0) {
+    throw new Error('No readable chapters were found in the EPUB')
+  }
+
+  return { title: bookTitle, chapters }
+}
+
+/**
+ * Read an imported file into a title and its chapters (a single chapter for everything but EPUB)
+ */
+export async function readImportFile(file) {
+  const extension = getExtension(file.name)
+  logger.actionStart(`Reading import file: ${file.name}`)
+
+  try {
+    let result
+    const title = getBaseName(file.name)
+
+    switch (extension) {
+      case 'txt':
+        result = { title, chapters: [{ title, text: normalizeNewlines(await file.text()) }] }
+        break
+      case 'md':
+      case 'markdown':
+        result = { title, chapters: [{ title, text: stripMarkdown(await file.text()) }] }
+        break
+      case 'srt': {
+        const sentences = parseSrt(await file.text())
+        result = { title, chapters: [{ title, text: sentences.join('\n'), sentences }] }
+        break
+      }
+      case 'epub':
+        result = await parseEpub(await file.arrayBuffer(), file.name)
+        break
+      default:
+        throw new Error('Unsupported file type. Choose a .txt, .md, .srt or .epub file.')
+    }
+
+    logger.actionSuccess(`Read import file: ${file.name}`, { chapters: result.chapters.length })
+    return result
+  } catch (error) {
+    logger.error(`Failed to read import file: ${file.name}`, error)
+    throw error
+  }
+}
+
+/**
+ * Get the sentences of an imported chapter, split with the rules for its language
+ */
+export function getChapterSentences(chapter, lang) {
+  return chapter.sentences || splitIntoSentences(chapter.text, lang)
+}
+
+/**
+ * Group sentences into consecutive parts of at most `maxLength` characters,
+ * so long sources become several exercises instead of being truncated.
+ * A single sentence longer than the limit gets a part of its own.
+ */
+export function splitIntoParts(sentences, maxLength) {
+  const parts = []
+  let current = []
+  let length = 0
+
+  for (const sentence of sentences) {
+    // Sentences are joined with a space
+    if (current.length > 0 && length + 1 + sentence.length > maxLength) {
+      parts.push(current)
+      current = []
+    }
+    length = current.length > 0 ? length + 1 + sentence.length : sentence.length
+    current.push(sentence)
+  }
+
+  if (current.length > 0) {
+    parts.push(current)
+  }
+  return parts
+}
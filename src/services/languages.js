@@ -0,0 +1,98 @@
+/**
+ * Languages and the language pairs an exercise can practice.
+ *
+ * Each exercise stores `sourceLang` and `targetLang` codes. Exercises created before
+ * language pairs existed have neither and are English to Dutch.
+ * Sentences keep their original field names: `english` holds the source text and
+ * `dutch` the learner's translation, whatever the pair.
+ */
+
+/**
+ * Per-language details: the locale used for speech, how prompts ask for a single word,
+ * and grammar topics worth a tip
+ */
+export const LANGUAGES = {
+  en: {
+    code: 'en',
+    speechLang: 'en-US',
+    name: 'English',
+    wordRules: [
+      'For nouns, give the singular form without an article',
+      'For verbs, give the infinitive with "to", e.g. "to walk"'
+    ],
+    grammarTopics: 'articles, verb tenses or word order'
+  },
+  nl: {
+    code: 'nl',
+    speechLang: 'nl-NL',
+    name: 'Dutch',
+    wordRules: [
+      'For nouns, include the article (de or het), e.g. "de fiets" or "het huis"',
+      'For verbs, give the infinitive'
+    ],
+    grammarTopics: 'de-woorden/het-woorden, perfectum or word order'
+  },
+  de: {
+    code: 'de',
+    speechLang: 'de-DE',
+    name: 'German',
+    wordRules: [
+      'For nouns, include the article (der, die or das), e.g. "der Tisch" or "das Haus"',
+      'For verbs, give the infinitive'
+    ],
+    grammarTopics: 'noun genders, cases or verb position'
+  }
+}
+
+export const LANGUAGE_PAIRS = [
+  { id: 'en-nl', sourceLang: 'en', targetLang: 'nl' },
+  { id: 'nl-en', sourceLang: 'nl', targetLang: 'en' },
+  { id: 'en-de', sourceLang: 'en', targetLang: 'de' }
+]
+
+export const DEFAULT_LANGUAGE_PAIR = 'en-nl'
+
+/**
+ * Resolve a pair ID into its source and target languages, falling back to English to Dutch
+ */
+export function resolveLanguagePair(pairId) {
+  const pair = LANGUAGE_PAIRS.find(p => p.id === pairId) ||
+    LANGUAGE_PAIRS.find(p => p.id === DEFAULT_LANGUAGE_PAIR)
+
+  return {
+    id: pair.id,
+    source: LANGUAGES[pair.sourceLang],
+    target: LANGUAGES[pair.targetLang]
+  }
+}
+
+/**
+ * Get the language pair an exercise practices
+ */
+export function getLanguagePair(translation) {
+  return resolveLanguagePair(`${translation?.sourceLang || 'en'}-${translation?.targetLang || 'nl'}`)
+}
+
+/**
+ * Label for a pair, e.g. "English → Dutch"
+ */
+export function getPairLabel(pair) {
+  return `${pair.source.name} → ${pair.target.name}`
+}
+
+/**
+ * Google Translate link for a text in the pair's direction
+ */
+export function getGoogleTranslateUrl(text, pair) {
+  const params = new URLSearchParams({ sl: pair.source.code, tl: pair.target.code, text, op: 'translate' })
+  return `https://translate.google.com/?${params}`
+}
+
+/**
+ * Check whether a pair translates between English and Dutch in either direction,
+ * which is what the vocabulary list holds
+ */
+export function isEnglishDutchPair(pair) {
+  const codes = [pair.source.code, pair.target.code].sort().join('-')
+  return codes === 'en-nl'
+}
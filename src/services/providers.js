@@ -0,0 +1,452 @@
+/**
+ * LLM provider layer.
+ * Each provider turns a prompt into a text reply, either in one piece or streamed;
+ * the prompts themselves live in gemini.js.
+ *
+ * A provider config is { provider, apiKey, model, baseUrl, timeout } with the timeout in seconds.
+ */
+
+import logger from './logger'
+import { fetchWithRetry, createHttpError, createApiError, ERROR_TYPES, DEFAULT_TIMEOUT_SECONDS } from './http'
+
+export const DEFAULT_PROVIDER = 'gemini'
+
+// Times a stream that stalls mid-reply is started again before the timeout is reported
+const STREAM_RETRIES = 2
+
+/**
+ * Supported providers with their defaults
+ */
+export const PROVIDERS = {
+  gemini: {
+    id: 'gemini',
+    label: 'Google Gemini',
+    defaultModel: 'gemini-2.5-flash-lite',
+    defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    requiresApiKey: true
+  },
+  openai: {
+    id: 'openai',
+    label: 'OpenAI-compatible',
+    defaultModel: 'gpt-4o-mini',
+    defaultBaseUrl: 'https://api.openai.com/v1',
+    requiresApiKey: true
+  },
+  ollama: {
+    id: 'ollama',
+    label: 'Ollama (local)',
+    defaultModel: 'llama3.1',
+    defaultBaseUrl: 'http://localhost:11434',
+    requiresApiKey: false
+  }
+}
+
+/**
+ * Fill in provider defaults for any missing config values
+ */
+export function resolveProviderConfig(config = {}) {
+  const provider = PROVIDERS[config.provider] ? config.provider : DEFAULT_PROVIDER
+  const defaults = PROVIDERS[provider]
+
+  return {
+    provider,
+    apiKey: config.apiKey || '',
+    model: config.model?.trim() || defaults.defaultModel,
+    baseUrl: (config.baseUrl?.trim() || defaults.defaultBaseUrl).replace(/\/+$/, ''),
+    timeout: Number(config.timeout) > 0 ? Number(config.timeout) : DEFAULT_TIMEOUT_SECONDS
+  }
+}
+
+/**
+ * Check whether a config has everything its provider needs
+ */
+export function isProviderConfigured(config) {
+  const provider = PROVIDERS[config?.provider]
+  if (!provider) return false
+  return !provider.requiresApiKey || !!config.apiKey
+}
+
+/**
+ * Convert a Gemini-style schema (uppercase types) into standard JSON Schema
+ */
+function toJsonSchema(schema) {
+  // propertyOrdering is Gemini-only
+  const { propertyOrdering, ...rest } = schema
+  const converted = { ...rest, type: schema.type.toLowerCase() }
+
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toJsonSchema(value)])
+    )
+  }
+  if (schema.items) {
+    converted.items = toJsonSchema(schema.items)
+  }
+
+  return converted
+}
+
+/**
+ * POST JSON to a provider endpoint and return the response once it is known to be OK.
+ * `request` holds the caller's abort `signal` and the `timeout` in seconds.
+ */
+async function sendRequest(endpoint, headers, body, logContext, request) {
+  logger.apiRequest(endpoint, 'POST', logContext)
+
+  const response = await fetchWithRetry(endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: JSON.stringify(body)
+  }, request)
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}))
+    logger.apiFail(endpoint, { status: response.status, error: errorData })
+    // Gemini and OpenAI nest the message under `error`, Ollama sends it as a string
+    const message = errorData.error?.message || (typeof errorData.error === 'string' ? errorData.error : null)
+    throw createHttpError(response.status, message)
+  }
+
+  return response
+}
+
+/**
+ * POST JSON to a provider endpoint and return the parsed response
+ */
+async function postJSON(endpoint, headers, body, logContext, request) {
+  const response = await sendRequest(endpoint, headers, body, logContext, request)
+  const data = await response.json()
+  logger.apiSuccess(endpoint)
+  return data
+}
+
+/**
+ * POST JSON to a streaming endpoint and call `onLine` for every line of the response body.
+ * The request timeout also applies between chunks, so a body that stalls fails with a timeout error.
+ */
+async function postStream(endpoint, headers, body, logContext, request, onLine) {
+  const response = await sendRequest(endpoint, headers, body, { ...logContext, stream: true }, request)
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  // The fetch signal is no longer linked once headers arrive, so cancel the body read directly
+  const onAbort = () => reader.cancel()
+  request.signal?.addEventListener('abort', onAbort, { once: true })
+
+  // Cancelling the reader ends the pending read, which is then reported as a timeout
+  const idleMs = (request.timeout || DEFAULT_TIMEOUT_SECONDS) * 1000
+  let idleTimer = null
+  let timedOut = false
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer)
+    idleTimer = setTimeout(() => {
+      timedOut = true
+      reader.cancel().catch(() => {})
+    }, idleMs)
+  }
+
+  try {
+    while (true) {
+      let chunk
+      resetIdleTimer()
+      try {
+        chunk = await reader.read()
+      } catch (error) {
+        if (timedOut) throw createApiError(ERROR_TYPES.TIMEOUT)
+        throw createApiError(request.signal?.aborted ? ERROR_TYPES.CANCELLED : ERROR_TYPES.NETWORK, error.message)
+      }
+      if (request.signal?.aborted) throw createApiError(ERROR_TYPES.CANCELLED)
+      if (timedOut) throw createApiError(ERROR_TYPES.TIMEOUT)
+
+      const { done, value } = chunk
+      buffer += decoder.decode(value, { stream: !done })
+
+      const lines = buffer.split('\n')
+      buffer = done ? '' : lines.pop()
+      lines.map(line => line.trim()).filter(Boolean).forEach(onLine)
+
+      if (done) break
+    }
+  } catch (error) {
+    // Close the response body when a read or `onLine` fails, so the connection isn't left open
+    reader.cancel().catch(() => {})
+    throw error
+  } finally {
+    clearTimeout(idleTimer)
+    request.signal?.removeEventListener('abort', onAbort)
+  }
+
+  logger.apiSuccess(endpoint, { stream: true })
+}
+
+/**
+ * Get the JSON payload of a server-sent event line, or null for other lines
+ */
+function parseSSELine(line) {
+  if (!line.startsWith('data:')) return null
+  const payload = line.slice(5).trim()
+  if (payload === '[DONE]') return null
+  return JSON.parse(payload)
+}
+
+function buildGeminiBody(prompt, options) {
+  const generationConfig = {
+    temperature: 0.7,
+    topK: 40,
+    topP: 0.95,
+    maxOutputTokens: options.maxOutputTokens || 1024
+  }
+
+  if (options.responseSchema) {
+    generationConfig.responseMimeType = 'application/json'
+    generationConfig.responseSchema = options.responseSchema
+  }
+
+  return {
+    contents: [{
+      parts: [{
+        text: prompt
+      }]
+    }],
+    generationConfig
+  }
+}
+
+// Finish reasons Gemini uses when it blocks a reply
+const GEMINI_BLOCK_REASONS = ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII']
+
+/**
+ * Throw a safety error if Gemini blocked the prompt or the reply
+ */
+function checkGeminiBlocked(data) {
+  const blockReason = data.promptFeedback?.blockReason
+  const finishReason = data.candidates?.[0]?.finishReason
+  if (blockReason || GEMINI_BLOCK_REASONS.includes(finishReason)) {
+    throw createApiError(ERROR_TYPES.SAFETY, blockReason || finishReason)
+  }
+}
+
+function getGeminiText(data) {
+  checkGeminiBlocked(data)
+  const candidate = data.candidates?.[0]
+  return (candidate?.content?.parts || [])
+    .filter(part => part.text)
+    .map(part => part.text)
+    .join('')
+}
+
+async function generateWithGemini(config, prompt, options) {
+  const data = await postJSON(
+    `${config.baseUrl}/models/${config.model}:generateContent`,
+    { 'x-goog-api-key': config.apiKey },
+    buildGeminiBody(prompt, options),
+    { promptLength: prompt.length, structured: !!options.responseSchema },
+    { signal: options.signal, timeout: config.timeout }
+  )
+
+  checkGeminiBlocked(data)
+  if (!data.candidates || data.candidates.length === 0) {
+    throw new Error('No response generated')
+  }
+
+  const candidate = data.candidates[0]
+  if (!candidate.content || !candidate.content.parts) {
+    throw new Error('Invalid response format')
+  }
+
+  return candidate.content.parts
+    .filter(part => part.text)
+    .map(part => part.text)
+    .join('\n')
+    .trim()
+}
+
+async function streamWithGemini(config, prompt, options, onDelta) {
+  await postStream(
+    `${config.baseUrl}/models/${config.model}:streamGenerateContent?alt=sse`,
+    { 'x-goog-api-key': config.apiKey },
+    buildGeminiBody(prompt, options),
+    { promptLength: prompt.length, structured: !!options.responseSchema },
+    { signal: options.signal, timeout: config.timeout },
+    line => {
+      const data = parseSSELine(line)
+      if (data) onDelta(getGeminiText(data))
+    }
+  )
+}
+
+function buildOpenAIBody(config, prompt, options) {
+  const body = {
+    model: config.model,
+    messages: [{ role: 'user', content: prompt }],
+    temperature: 0.7,
+    max_tokens: options.maxOutputTokens || 1024
+  }
+
+  if (options.responseSchema) {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: 'response', schema: toJsonSchema(options.responseSchema) }
+    }
+  }
+
+  return body
+}
+
+function openAIHeaders(config) {
+  return config.apiKey ? { Authorization: `Bearer ${config.apiKey}` } : {}
+}
+
+async function generateWithOpenAI(config, prompt, options) {
+  const data = await postJSON(
+    `${config.baseUrl}/chat/completions`,
+    openAIHeaders(config),
+    buildOpenAIBody(config, prompt, options),
+    { promptLength: prompt.length, structured: !!options.responseSchema },
+    { signal: options.signal, timeout: config.timeout }
+  )
+
+  if (data.choices?.[0]?.finish_reason === 'content_filter') {
+    throw createApiError(ERROR_TYPES.SAFETY, 'content_filter')
+  }
+
+  const text = data.choices?.[0]?.message?.content
+  if (!text) {
+    throw new Error('No response generated')
+  }
+  return text.trim()
+}
+
+async function streamWithOpenAI(config, prompt, options, onDelta) {
+  await postStream(
+    `${config.baseUrl}/chat/completions`,
+    openAIHeaders(config),
+    { ...buildOpenAIBody(config, prompt, options), stream: true },
+    { promptLength: prompt.length, structured: !!options.responseSchema },
+    { signal: options.signal, timeout: config.timeout },
+    line => {
+      const data = parseSSELine(line)
+      if (!data) return
+      if (data.choices?.[0]?.finish_reason === 'content_filter') {
+        throw createApiError(ERROR_TYPES.SAFETY, 'content_filter')
+      }
+      onDelta(data.choices?.[0]?.delta?.content || '')
+    }
+  )
+}
+
+function buildOllamaBody(config, prompt, options, stream) {
+  const body = {
+    model: config.model,
+    messages: [{ role: 'user', content: prompt }],
+    stream,
+    options: {
+      temperature: 0.7,
+      num_predict: options.maxOutputTokens || 1024
+    }
+  }
+
+  if (options.responseSchema) {
+    body.format = toJsonSchema(options.responseSchema)
+  }
+
+  return body
+}
+
+async function generateWithOllama(config, prompt, options) {
+  const data = await postJSON(
+    `${config.baseUrl}/api/chat`,
+    {},
+    buildOllamaBody(config, prompt, options, false),
+    { promptLength: prompt.length, structured: !!options.responseSchema },
+    { signal: options.signal, timeout: config.timeout }
+  )
+
+  const text = data.message?.content
+  if (!text) {
+    throw new Error('No response generated')
+  }
+  return text.trim()
+}
+
+async function streamWithOllama(config, prompt, options, onDelta) {
+  // Ollama streams newline-delimited JSON objects rather than server-sent events
+  await postStream(
+    `${config.baseUrl}/api/chat`,
+    {},
+    buildOllamaBody(config, prompt, options, true),
+    { promptLength: prompt.length, structured: !!options.responseSchema },
+    { signal: options.signal, timeout: config.timeout },
+    line => {
+      const data = JSON.parse(line)
+      if (data.error) throw new Error(data.error)
+      onDelta(data.message?.content || '')
+    }
+  )
+}
+
+const GENERATORS = {
+  gemini: generateWithGemini,
+  openai: generateWithOpenAI,
+  ollama: generateWithOllama
+}
+
+const STREAMERS = {
+  gemini: streamWithGemini,
+  openai: streamWithOpenAI,
+  ollama: streamWithOllama
+}
+
+function resolveUsableConfig(config) {
+  const resolved = resolveProviderConfig(config)
+
+  if (!isProviderConfigured(resolved)) {
+    throw new Error(`${PROVIDERS[resolved.provider].label} API key not configured`)
+  }
+
+  return resolved
+}
+
+/**
+ * Send a prompt to the configured provider and return the reply text.
+ * Pass `responseSchema` in options to request structured JSON output,
+ * `maxOutputTokens` to override the default reply length and `signal` to abort the request.
+ */
+export async function generateContent(config, prompt, options = {}) {
+  const resolved = resolveUsableConfig(config)
+  return GENERATORS[resolved.provider](resolved, prompt, options)
+}
+
+/**
+ * Like generateContent, but streams the reply: `onText` is called with the text received
+ * so far after every chunk. Resolves with the full reply text once the stream ends.
+ * A stream that stalls is started again from scratch, up to STREAM_RETRIES times.
+ */
+export async function streamContent(config, prompt, options = {}, onText = () => {}) {
+  const resolved = resolveUsableConfig(config)
+  let text = ''
+
+  for (let attempt = 0; ; attempt++) {
+    text = ''
+    try {
+      await STREAMERS[resolved.provider](resolved, prompt, options, delta => {
+        if (!delta) return
+        text += delta
+        onText(text)
+      })
+      break
+    } catch (error) {
+      if (error.type !== ERROR_TYPES.TIMEOUT || attempt >= STREAM_RETRIES) throw error
+      logger.warn('Stream stalled, starting it again', { attempt: attempt + 1 })
+    }
+  }
+
+  if (!text.trim()) {
+    throw new Error('No response generated')
+  }
+  return text.trim()
+}
@@ -0,0 +1,95 @@
+/**
+ * Quiz mode: translate an exercise's sentences one at a time without seeing earlier answers,
+ * graded locally against each sentence's reference translation (see getReferenceTranslation).
+ * Borderline answers can be re-graded by the AI (see regradeQuizAnswer in gemini.js).
+ *
+ * Finished attempts are stored on the exercise as `translation.quizAttempts`, oldest first:
+ * { startedAt, finishedAt, timeLimit, score, answers: [{ sentenceId, source, reference, answer,
+ *   similarity, score, verdict, timedOut, regraded, explanation? }] }
+ */
+
+import { getReferenceTranslation } from './reviewContent'
+import { getSimilarity } from './textCompare'
+
+/**
+ * Time allowed per sentence, in seconds (0 for no timer)
+ */
+export const QUIZ_TIME_LIMITS = [
+  { seconds: 0, label: 'No timer' },
+  { seconds: 20, label: '20 seconds' },
+  { seconds: 40, label: '40 seconds' },
+  { seconds: 60, label: '1 minute' }
+]
+
+export const QUIZ_VERDICTS = {
+  correct: { label: 'Correct', icon: '✅' },
+  borderline: { label: 'Almost', icon: '🤏' },
+  wrong: { label: 'Wrong', icon: '❌' }
+}
+
+// Similarity to the reference an answer needs to count as correct, or to be worth an AI re-grade
+const CORRECT_SIMILARITY = 0.9
+const BORDERLINE_SIMILARITY = 0.5
+
+/**
+ * JSON schema sent to the AI when re-grading an answer
+ */
+export const REGRADE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    correct: { type: 'BOOLEAN' },
+    score: { type: 'INTEGER' },
+    explanation: { type: 'STRING' }
+  },
+  required: ['correct', 'score', 'explanation'],
+  propertyOrdering: ['correct', 'score', 'explanation']
+}
+
+/**
+ * Sentences that can be quizzed: those with a source text and a reference translation
+ */
+export function getQuizSentences(sentences) {
+  return (sentences || [])
+    .filter(sentence => sentence.english?.trim())
+    .map(sentence => ({ sentenceId: sentence.id, source: sentence.english, reference: getReferenceTranslation(sentence) }))
+    .filter(item => item.reference)
+}
+
+/**
+ * Grade an answer against the reference by normalized word-level edit distance.
+ * Returns { similarity, score, verdict } with score 0-100 and verdict a QUIZ_VERDICTS key.
+ */
+export function gradeAnswer(reference, answer) {
+  if (!answer?.trim()) return { similarity: 0, score: 0, verdict: 'wrong' }
+
+  const similarity = getSimilarity(reference, answer)
+  let verdict = 'wrong'
+  if (similarity >= CORRECT_SIMILARITY) verdict = 'correct'
+  else if (similarity >= BORDERLINE_SIMILARITY) verdict = 'borderline'
+
+  return { similarity, score: Math.round(similarity * 100), verdict }
+}
+
+/**
+ * Validate a parsed re-grade response into { verdict, score, explanation }
+ */
+export function normalizeRegrade(data) {
+  if (!data || typeof data.correct !== 'boolean') {
+    throw new Error('Invalid re-grade format')
+  }
+
+  const score = Math.min(100, Math.max(0, Math.round(Number(data.score) || 0)))
+  return {
+    verdict: data.correct ? 'correct' : 'wrong',
+    score,
+    explanation: typeof data.explanation === 'string' ? data.explanation.trim() : ''
+  }
+}
+
+/**
+ * Average score (0-100) of a quiz attempt's answers, or null without answers
+ */
+export function getAttemptScore(answers) {
+  if (!answers?.length) return null
+  return Math.round(answers.reduce((sum, answer) => sum + answer.score, 0) / answers.length)
+}
@@ -0,0 +1,321 @@
+/**
+ * Helpers for reading cached AI review content stored on sentences (`sentence.aiReview`).
+ *
+ * Reviews are stored as structured objects in `aiReview.content`:
+ * { assessment, corrections: [{ wrong, right, explanation, category }], suggestedTranslation,
+ *   alternativeTranslation, grammarTips: [{ tip, example }] }
+ * Reviews cached before the JSON format still hold a Markdown string there, and corrections
+ * cached before categories existed have no `category`.
+ * Besides `content`, `aiReview` holds `generatedAt`, `stale` once the sentence changed after the
+ * review, and `acceptedAt` when the user took over its suggested translation.
+ */
+
+import { HINT_PENALTY, getHintsUsed } from './hints'
+
+/**
+ * Overall assessment levels, best first, with the sentence score (0-100) each one is worth
+ */
+export const ASSESSMENTS = {
+  excellent: { label: 'Excellent', icon: '✅', score: 100 },
+  good: { label: 'Good', icon: '👍', score: 80 },
+  needs_improvement: { label: 'Needs Improvement', icon: '⚠️', score: 50 },
+  incorrect: { label: 'Incorrect', icon: '❌', score: 0 }
+}
+
+/**
+ * Kinds of mistake a correction can be filed under, with the hint given to the AI
+ */
+export const ERROR_CATEGORIES = {
+  word_order: { label: 'Word order', hint: 'verb position, inversion or the order of sentence parts' },
+  verb_form: { label: 'Verb forms', hint: 'tense, conjugation, participles or separable verbs' },
+  article: { label: 'Articles & gender', hint: 'articles, noun gender or the form of adjectives and pronouns that follows from it' },
+  agreement: { label: 'Agreement', hint: 'singular/plural or subject-verb agreement' },
+  preposition: { label: 'Prepositions', hint: 'the wrong or a missing preposition' },
+  vocabulary: { label: 'Word choice', hint: 'a wrong, unnatural or missing word' },
+  spelling: { label: 'Spelling', hint: 'spelling, capitalization or accents' },
+  other: { label: 'Other', hint: 'anything else' }
+}
+
+/**
+ * Get the category key of a correction, or null for corrections without a known category
+ */
+export function getCorrectionCategory(correction) {
+  return ERROR_CATEGORIES[correction?.category] ? correction.category : null
+}
+
+/**
+ * JSON schema sent to Gemini for structured review output
+ */
+export const REVIEW_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    assessment: {
+      type: 'STRING',
+      enum: Object.keys(ASSESSMENTS)
+    },
+    corrections: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          wrong: { type: 'STRING' },
+          right: { type: 'STRING' },
+          explanation: { type: 'STRING' },
+          category: {
+            type: 'STRING',
+            enum: Object.keys(ERROR_CATEGORIES)
+          }
+        },
+        required: ['wrong', 'right', 'explanation', 'category']
+      }
+    },
+    suggestedTranslation: { type: 'STRING' },
+    alternativeTranslation: { type: 'STRING' },
+    grammarTips: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          tip: { type: 'STRING' },
+          example: { type: 'STRING' }
+        },
+        required: ['tip']
+      }
+    }
+  },
+  required: ['assessment', 'corrections', 'suggestedTranslation', 'alternativeTranslation', 'grammarTips'],
+  // Keeps the fields in reading order so streamed reviews fill in top to bottom
+  propertyOrdering: ['assessment', 'corrections', 'suggestedTranslation', 'alternativeTranslation', 'grammarTips']
+}
+
+/**
+ * JSON schema for reviewing several sentences in one request
+ */
+export const BATCH_REVIEW_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    reviews: {
+      type: 'ARRAY',
+      items: {
+        ...REVIEW_SCHEMA,
+        properties: {
+          sentenceId: { type: 'INTEGER' },
+          ...REVIEW_SCHEMA.properties
+        },
+        required: ['sentenceId', ...REVIEW_SCHEMA.required],
+        propertyOrdering: ['sentenceId', ...REVIEW_SCHEMA.propertyOrdering]
+      }
+    }
+  },
+  required: ['reviews']
+}
+
+/**
+ * Validate a parsed review response and fill in missing fields
+ */
+export function normalizeReview(raw) {
+  if (!raw || typeof raw !== 'object' || !ASSESSMENTS[raw.assessment]) {
+    throw new Error('Invalid review format')
+  }
+
+  return {
+    assessment: raw.assessment,
+    corrections: (Array.isArray(raw.corrections) ? raw.corrections : [])
+      .filter(c => c && c.wrong && c.right)
+      .map(c => ({
+        wrong: c.wrong,
+        right: c.right,
+        explanation: c.explanation || '',
+        category: getCorrectionCategory(c) || 'other'
+      })),
+    suggestedTranslation: raw.suggestedTranslation || '',
+    alternativeTranslation: raw.alternativeTranslation || '',
+    grammarTips: (Array.isArray(raw.grammarTips) ? raw.grammarTips : [])
+      .filter(t => t && t.tip)
+      .map(t => ({ tip: t.tip, example: t.example || '' }))
+  }
+}
+
+/**
+ * Close any open strings, arrays and objects in a truncated JSON document and parse it.
+ * Returns null when the text cannot be completed into valid JSON yet.
+ */
+function parsePartialJSON(text) {
+  const closers = []
+  let inString = false
+  let escaped = false
+
+  for (const char of text) {
+    if (inString) {
+      if (escaped) escaped = false
+      else if (char === '\\') escaped = true
+      else if (char === '"') inString = false
+    } else if (char === '"') {
+      inString = true
+    } else if (char === '{' || char === '[') {
+      closers.push(char === '{' ? '}' : ']')
+    } else if (char === '}' || char === ']') {
+      closers.pop()
+    }
+  }
+
+  let completed = text
+  if (inString) {
+    // Drop a half-received escape sequence before closing the string
+    completed = escaped ? completed.slice(0, -1) : completed.replace(/\\u[0-9a-fA-F]{0,3}$/, '')
+    completed += '"'
+  } else {
+    completed = completed.trimEnd()
+  }
+  // Drop a dangling key or separator that has no value yet
+  completed = completed.replace(/,?\s*"(?:[^"\\]|\\.)*"\s*:\s*$/, '').replace(/[,:]\s*$/, '')
+
+  const suffix = closers.reverse().join('')
+  const candidates = [
+    completed,
+    // A string at the end of an object may be a key still waiting for its value
+    completed.replace(/,?\s*"(?:[^"\\]|\\.)*"$/, '')
+  ]
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate + suffix)
+    } catch {
+      // Try the next candidate
+    }
+  }
+  return null
+}
+
+/**
+ * Parse the text of a review that is still streaming in.
+ * Fields that have not arrived yet are left undefined; returns null when nothing is readable yet.
+ */
+export function parsePartialReview(text) {
+  const raw = parsePartialJSON(text)
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null
+
+  const partial = {
+    assessment: ASSESSMENTS[raw.assessment] ? raw.assessment : undefined,
+    suggestedTranslation: raw.suggestedTranslation,
+    alternativeTranslation: raw.alternativeTranslation
+  }
+
+  if (Array.isArray(raw.corrections)) {
+    partial.corrections = raw.corrections
+      .filter(c => c && c.wrong)
+      .map(c => ({
+        wrong: c.wrong,
+        right: c.right || '',
+        explanation: c.explanation || '',
+        category: getCorrectionCategory(c) || undefined
+      }))
+  }
+  if (Array.isArray(raw.grammarTips)) {
+    partial.grammarTips = raw.grammarTips
+      .filter(t => t && t.tip)
+      .map(t => ({ tip: t.tip, example: t.example || '' }))
+  }
+
+  return partial
+}
+
+/**
+ * Check whether review content uses the structured (JSON) format
+ */
+export function isStructuredReview(content) {
+  return !!content && typeof content === 'object'
+}
+
+/**
+ * Get the "Suggested Translation" from a cached review, or null if there is none
+ */
+export function getSuggestedTranslation(aiReview) {
+  const content = aiReview?.content
+
+  if (isStructuredReview(content)) {
+    return content.suggestedTranslation || null
+  }
+
+  if (typeof content !== 'string') return null
+
+  const match = content.match(/###\s*Suggested Translation\s*\n+\s*>\s*(.+)/i)
+  return match ? match[1].trim() : null
+}
+
+/**
+ * Get the assessment key (e.g. 'excellent') from a cached review, or null if there is none
+ */
+export function getAssessment(aiReview) {
+  const content = aiReview?.content
+
+  if (isStructuredReview(content)) {
+    return ASSESSMENTS[content.assessment] ? content.assessment : null
+  }
+
+  if (typeof content !== 'string') return null
+
+  // Legacy Markdown: the first assessment label after the "Overall Assessment" heading
+  const section = content.split(/###\s*Overall Assessment/i)[1]
+  if (!section) return null
+
+  const match = Object.entries(ASSESSMENTS)
+    .map(([key, { label }]) => ({ key, index: section.toLowerCase().indexOf(label.toLowerCase()) }))
+    .filter(({ index }) => index !== -1)
+    .sort((a, b) => a.index - b.index)[0]
+
+  return match ? match.key : null
+}
+
+/**
+ * Get the correct target-language version of a sentence, or null when there is none:
+ * the learner's translation when its up-to-date review rated it excellent (or it is the
+ * accepted suggestion), otherwise the review's suggested translation
+ */
+export function getReferenceTranslation(sentence) {
+  const dutch = sentence?.dutch?.trim()
+  const suggestion = getSuggestedTranslation(sentence?.aiReview)
+  const isFresh = !!sentence?.aiReview?.content && !sentence.aiReview.stale
+
+  if (dutch && isFresh && getAssessment(sentence.aiReview) === 'excellent') return dutch
+  return suggestion
+}
+
+/**
+ * Convert a cached review into a numeric score (0-100), or null when it has no assessment
+ */
+export function scoreFromReview(aiReview) {
+  const assessment = getAssessment(aiReview)
+  return assessment ? ASSESSMENTS[assessment].score : null
+}
+
+/**
+ * Get a sentence's score, falling back to its cached review for sentences scored before scores were stored.
+ * Each hint revealed for the sentence takes HINT_PENALTY points off.
+ */
+export function getSentenceScore(sentence) {
+  const score = typeof sentence?.score === 'number' ? sentence.score : scoreFromReview(sentence?.aiReview)
+  if (score === null) return null
+  return Math.max(0, score - getHintsUsed(sentence) * HINT_PENALTY)
+}
+
+/**
+ * Combine sentence scores into an exercise grade on the Dutch 1-10 scale.
+ * Only sentences with a review count towards the grade.
+ */
+export function getExerciseGrade(sentences) {
+  const scores = (sentences || [])
+    .map(getSentenceScore)
+    .filter(score => score !== null)
+
+  if (scores.length === 0) {
+    return { grade: null, average: null, scoredCount: 0 }
+  }
+
+  const average = scores.reduce((sum, score) => sum + score, 0) / scores.length
+  return {
+    grade: Math.max(1, Math.round(average) / 10),
+    average: Math.round(average),
+    scoredCount: scores.length
+  }
+}
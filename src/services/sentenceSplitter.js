@@ -0,0 +1,179 @@
+/**
+ * Language-aware sentence splitter.
+ *
+ * Text is first split by newlines (headlines, AI output with one sentence per line, dialogue),
+ * then each line is split after sentence-ending punctuation that is followed by whitespace and
+ * something that can start a sentence. This keeps abbreviations ("Mr. Smith", "e.g. this"),
+ * initials, decimals ("3.5 km"), ellipses before lowercase text and quoted dialogue
+ * ("Stop!" she said.) together, and splits before dialogue dashes.
+ * When in doubt it splits, since a wrong split can be merged back in the preview.
+ *
+ * Pure functions without DOM access; tests/fixtures/sentenceSplitter.json holds the cases `npm test` runs.
+ */
+
+const TERMINATORS = '.!?…'
+const CLOSERS = '"\'”’»)]'
+const OPENERS = '"\'“‘„«(['
+
+/**
+ * Abbreviations per language, lowercase and without the final period.
+ * `abbreviations` never end a sentence; `numberAbbreviations` don't when a number follows.
+ * With `ordinals`, a number of up to three digits followed by a period is an ordinal ("am 3. Oktober").
+ * Single capitals are initials ("J. K. Rowling"), but the words in `capitalWords` only when another
+ * initial follows ("So did I. Then" splits, "I. M. Pei" doesn't).
+ */
+const LANGUAGE_RULES = {
+  en: {
+    abbreviations: [
+      'mr', 'mrs', 'ms', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'rev', 'gen', 'capt', 'lt', 'sgt',
+      'e.g', 'i.e', 'cf', 'vs', 'approx', 'dept', 'est', 'fig', 'vol', 'pp', 'ca', 'a.m', 'p.m'
+    ],
+    numberAbbreviations: ['no', 'nos', 'p', 'ch', 'sec', 'art'],
+    capitalWords: ['I'],
+    ordinals: false
+  },
+  nl: {
+    abbreviations: [
+      'dhr', 'mevr', 'mw', 'dr', 'drs', 'ir', 'ing', 'prof', 'mr', 'st',
+      'bijv', 'bv', 'o.a', 'i.p.v', 'd.w.z', 'm.a.w', 'z.g.a.n', 't.a.v', 'i.v.m', 'm.b.t', 'a.s', 'jl', 'ca', 'vgl'
+    ],
+    numberAbbreviations: ['nr', 'blz', 'art', 'hfdst'],
+    ordinals: false
+  },
+  de: {
+    abbreviations: [
+      'hr', 'fr', 'dr', 'prof', 'st', 'z.b', 'bzw', 'ca', 'vgl', 'u.a', 'd.h', 'evtl', 'ggf', 'inkl', 'sog', 'u.u', 'z.t'
+    ],
+    numberAbbreviations: ['nr', 's', 'abs', 'art', 'kap'],
+    ordinals: true
+  }
+}
+
+const ruleCache = new Map()
+
+function getRules(lang) {
+  if (!ruleCache.has(lang)) {
+    const rules = LANGUAGE_RULES[lang] || LANGUAGE_RULES.en
+    ruleCache.set(lang, {
+      abbreviations: new Set(rules.abbreviations),
+      numberAbbreviations: new Set(rules.numberAbbreviations),
+      capitalWords: new Set(rules.capitalWords || []),
+      ordinals: rules.ordinals
+    })
+  }
+  return ruleCache.get(lang)
+}
+
+/**
+ * The word directly before position `end`, without leading quotes or brackets
+ */
+function wordBefore(line, end) {
+  let start = end
+  while (start > 0 && !/\s/.test(line[start - 1])) start--
+
+  let word = line.slice(start, end)
+  while (word && OPENERS.includes(word[0])) word = word.slice(1)
+  return word
+}
+
+/**
+ * Whether a period at `index` belongs to the word before it rather than ending the sentence.
+ * `following` is the rest of the line after the whitespace that follows the period.
+ */
+function isAbbreviationPeriod(line, index, following, rules) {
+  const word = wordBefore(line, index)
+  const lower = word.toLowerCase()
+
+  if (rules.abbreviations.has(lower)) return true
+  if (rules.numberAbbreviations.has(lower) && /^\d/.test(following)) return true
+  // Initials ("J. K. Rowling")
+  if (/^\p{Lu}$/u.test(word)) {
+    return !rules.capitalWords.has(word) || /^\p{Lu}\.(\s|$)/u.test(following)
+  }
+  // Ordinals ("3.", "100."), but not years ("endete 1945. Danach")
+  if (rules.ordinals && /^\d{1,3}$/.test(word)) return true
+
+  return false
+}
+
+/**
+ * Whether text starting at `index` can begin a new sentence: anything but a lowercase letter,
+ * so capitals, digits, opening quotes and dialogue dashes all qualify.
+ * Dutch sentences may start with a lowercase contraction such as "'s Morgens" or "'t".
+ */
+function canStartSentence(line, index) {
+  const char = line[index]
+
+  if (/^['’](s|t|k)\b/.test(line.slice(index))) return true
+  if (/\p{Ll}/u.test(char)) return false
+  return true
+}
+
+/**
+ * Split a single line into sentences
+ */
+function splitLine(line, rules) {
+  const sentences = []
+  let start = 0
+  let i = 0
+
+  while (i < line.length) {
+    if (!TERMINATORS.includes(line[i])) {
+      i++
+      continue
+    }
+
+    // Take the whole run of punctuation ("?!", "...") and any closing quotes or brackets
+    let end = i
+    while (end < line.length && TERMINATORS.includes(line[end])) end++
+    const terminators = line.slice(i, end)
+    while (end < line.length && CLOSERS.includes(line[end])) end++
+
+    // Decimals, "e.g.," and "?", are not followed by whitespace
+    if (end >= line.length || !/\s/.test(line[end])) {
+      i = end
+      continue
+    }
+
+    let next = end
+    while (next < line.length && /\s/.test(line[next])) next++
+
+    const isBoundary = canStartSentence(line, next) &&
+      !(terminators === '.' && isAbbreviationPeriod(line, i, line.slice(next), rules))
+
+    if (isBoundary) {
+      sentences.push(line.slice(start, end).trim())
+      start = next
+    }
+    i = next
+  }
+
+  const rest = line.slice(start).trim()
+  if (rest) sentences.push(rest)
+  return sentences
+}
+
+/**
+ * Split text into sentences using the rules for `lang` (a languages.js code; unknown codes use English)
+ */
+export function splitIntoSentences(text, lang = 'en') {
+  const rules = getRules(lang)
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0)
+    .flatMap(line => splitLine(line, rules))
+    .filter(sentence => sentence.length > 0)
+}
+
+/**
+ * Join a sentence with the one after it, for fixing a split in the wrong place
+ */
+export function mergeWithNext(sentences, index) {
+  if (index < 0 || index >= sentences.length - 1) return sentences
+  return [
+    ...sentences.slice(0, index),
+    `${sentences[index]} ${sentences[index + 1]}`,
+    ...sentences.slice(index + 2)
+  ]
+}
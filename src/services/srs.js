@@ -0,0 +1,87 @@
+/**
+ * Spaced repetition scheduling (SM-2 style) for flashcards.
+ * Pure functions - persistence lives in the flashcards store.
+ */
+
+const DEFAULT_EASE_FACTOR = 2.5
+const MIN_EASE_FACTOR = 1.3
+
+/**
+ * Answer ratings shown on a card, mapped to SM-2 quality (0-5)
+ */
+export const RATINGS = [
+  { id: 'again', label: 'Again', quality: 1 },
+  { id: 'hard', label: 'Hard', quality: 3 },
+  { id: 'good', label: 'Good', quality: 4 },
+  { id: 'easy', label: 'Easy', quality: 5 }
+]
+
+/**
+ * Midnight (local time) of the given date
+ */
+function startOfDay(date) {
+  const day = new Date(date)
+  day.setHours(0, 0, 0, 0)
+  return day
+}
+
+function addDays(date, days) {
+  const result = new Date(date)
+  result.setDate(result.getDate() + days)
+  return result
+}
+
+/**
+ * Scheduling fields for a card that has never been reviewed (due today)
+ */
+export function createSchedule(now = new Date()) {
+  return {
+    easeFactor: DEFAULT_EASE_FACTOR,
+    interval: 0,
+    repetitions: 0,
+    due: startOfDay(now).toISOString(),
+    lastReviewedAt: null
+  }
+}
+
+/**
+ * Apply an answer of the given quality (0-5) and return the new scheduling fields
+ */
+export function scheduleCard(card, quality, now = new Date()) {
+  let { easeFactor = DEFAULT_EASE_FACTOR, interval = 0, repetitions = 0 } = card
+  
+  if (quality < 3) {
+    // Failed recall: start the learning steps over
+    repetitions = 0
+    interval = 1
+  } else {
+    repetitions += 1
+    if (repetitions === 1) {
+      interval = 1
+    } else if (repetitions === 2) {
+      interval = 6
+    } else {
+      interval = Math.round(interval * easeFactor)
+    }
+  }
+  
+  easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  )
+  
+  return {
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    interval,
+    repetitions,
+    due: addDays(startOfDay(now), interval).toISOString(),
+    lastReviewedAt: now.toISOString()
+  }
+}
+
+/**
+ * Check whether a card is due on the given day
+ */
+export function isCardDue(card, now = new Date()) {
+  return new Date(card.due) < addDays(startOfDay(now), 1)
+}
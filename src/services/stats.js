@@ -0,0 +1,200 @@
+/**
+ * Progress statistics derived from the exercises in the translations store:
+ * sentences translated per day, review assessments per week, practice streaks
+ * and the most frequent error categories.
+ * Pure functions - pass `now` for results that don't depend on the clock.
+ *
+ * A sentence's translation time is `sentence.translatedAt`. Sentences translated before that was
+ * recorded fall back to the time of their review, or count only towards the totals.
+ * Drill sessions (see drills.js) count towards the streaks and the drill accuracy.
+ */
+
+import { ASSESSMENTS, ERROR_CATEGORIES, getAssessment, getCorrectionCategory, getSentenceScore, isStructuredReview } from './reviewContent'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+function startOfDay(date) {
+  const day = new Date(date)
+  day.setHours(0, 0, 0, 0)
+  return day
+}
+
+function addDays(date, days) {
+  const result = new Date(date)
+  result.setDate(result.getDate() + days)
+  return result
+}
+
+/**
+ * Local calendar date as YYYY-MM-DD
+ */
+function dayKey(date) {
+  const d = new Date(date)
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`
+}
+
+/**
+ * Monday of the week a date falls in
+ */
+function startOfWeek(date) {
+  const day = startOfDay(date)
+  return addDays(day, -((day.getDay() + 6) % 7))
+}
+
+function isTranslated(sentence) {
+  return !!sentence.dutch?.trim()
+}
+
+/**
+ * When a sentence was translated, or null when it is untranslated or the time is unknown
+ */
+export function getTranslatedAt(sentence) {
+  if (!isTranslated(sentence)) return null
+  return sentence.translatedAt || sentence.aiReview?.generatedAt || null
+}
+
+function allSentences(translations) {
+  return (translations || []).flatMap(t => t.sentences || [])
+}
+
+/**
+ * Number of sentences translated on each of the last `days` days, oldest first
+ */
+export function getTranslationsPerDay(translations, { days = 30, now = new Date() } = {}) {
+  const counts = new Map()
+  for (const sentence of allSentences(translations)) {
+    const translatedAt = getTranslatedAt(sentence)
+    if (!translatedAt) continue
+    const key = dayKey(translatedAt)
+    counts.set(key, (counts.get(key) || 0) + 1)
+  }
+
+  const today = startOfDay(now)
+  return Array.from({ length: days }, (_, i) => {
+    const date = addDays(today, i - days + 1)
+    return { date: dayKey(date), count: counts.get(dayKey(date)) || 0 }
+  })
+}
+
+/**
+ * Review assessments per week for the last `weeks` weeks, oldest first.
+ * Only each sentence's latest review is stored, so a sentence counts in the week it was last reviewed.
+ */
+export function getAssessmentsPerWeek(translations, { weeks = 8, now = new Date() } = {}) {
+  const thisWeek = startOfWeek(now)
+  const buckets = Array.from({ length: weeks }, (_, i) => ({
+    weekStart: dayKey(addDays(thisWeek, (i - weeks + 1) * 7)),
+    counts: Object.fromEntries(Object.keys(ASSESSMENTS).map(key => [key, 0])),
+    total: 0
+  }))
+
+  for (const sentence of allSentences(translations)) {
+    const assessment = getAssessment(sentence.aiReview)
+    const generatedAt = sentence.aiReview?.generatedAt
+    if (!assessment || !generatedAt) continue
+
+    const index = weeks - 1 - Math.round((thisWeek - startOfWeek(generatedAt)) / (7 * DAY_MS))
+    if (index < 0 || index >= weeks) continue
+
+    buckets[index].counts[assessment]++
+    buckets[index].total++
+  }
+
+  return buckets
+}
+
+function allDrillSessions(translations) {
+  return (translations || []).flatMap(t => t.drillSessions || [])
+}
+
+/**
+ * Current and longest run of consecutive days with a translated or reviewed sentence, or a drill session.
+ * Today without practice yet doesn't break the current streak.
+ */
+export function getStreaks(translations, { now = new Date() } = {}) {
+  const activeDays = new Set()
+  for (const sentence of allSentences(translations)) {
+    const translatedAt = getTranslatedAt(sentence)
+    if (translatedAt) activeDays.add(dayKey(translatedAt))
+    if (sentence.aiReview?.generatedAt) activeDays.add(dayKey(sentence.aiReview.generatedAt))
+  }
+  for (const session of allDrillSessions(translations)) {
+    activeDays.add(dayKey(session.finishedAt))
+  }
+
+  let longest = 0
+  let run = 0
+  let previous = null
+  for (const key of [...activeDays].sort()) {
+    const date = new Date(`${key}T00:00:00`)
+    run = previous && dayKey(addDays(previous, 1)) === key ? run + 1 : 1
+    longest = Math.max(longest, run)
+    previous = date
+  }
+
+  let current = 0
+  let day = startOfDay(now)
+  if (!activeDays.has(dayKey(day))) day = addDays(day, -1)
+  while (activeDays.has(dayKey(day))) {
+    current++
+    day = addDays(day, -1)
+  }
+
+  return { current, longest, activeDays: activeDays.size }
+}
+
+/**
+ * How often each error category was corrected in the stored reviews, most frequent first.
+ * Corrections from before categories existed are left out.
+ */
+export function getErrorCategoryCounts(translations) {
+  const counts = new Map()
+  for (const sentence of allSentences(translations)) {
+    const content = sentence.aiReview?.content
+    if (!isStructuredReview(content)) continue
+
+    for (const correction of content.corrections || []) {
+      const category = getCorrectionCategory(correction)
+      if (category) counts.set(category, (counts.get(category) || 0) + 1)
+    }
+  }
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([id, count]) => ({ id, label: ERROR_CATEGORIES[id].label, count }))
+}
+
+/**
+ * Answers in all drill sessions: { sessions, article: { correct, total }, conjugation: { correct, total } }
+ */
+export function getDrillTotals(translations) {
+  const totals = { sessions: 0, article: { correct: 0, total: 0 }, conjugation: { correct: 0, total: 0 } }
+
+  for (const session of allDrillSessions(translations)) {
+    totals.sessions++
+    for (const type of ['article', 'conjugation']) {
+      totals[type].correct += session[type]?.correct || 0
+      totals[type].total += session[type]?.total || 0
+    }
+  }
+  return totals
+}
+
+/**
+ * Everything shown on the progress dashboard
+ */
+export function buildProgressStats(translations, { now = new Date() } = {}) {
+  const sentences = allSentences(translations)
+  const scores = sentences.map(getSentenceScore).filter(score => score !== null)
+
+  return {
+    translatedCount: sentences.filter(isTranslated).length,
+    reviewedCount: scores.length,
+    averageScore: scores.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+    perDay: getTranslationsPerDay(translations, { now }),
+    perWeek: getAssessmentsPerWeek(translations, { now }),
+    streaks: getStreaks(translations, { now }),
+    errorCategories: getErrorCategoryCounts(translations),
+    drills: getDrillTotals(translations)
+  }
+}
@@ -1,13 +1,18 @@
 /**
  * Storage service for the Dutch GhostWriter app.
- * Handles both localStorage (settings) and IndexedDB (translations).
+ * Handles both localStorage (settings) and IndexedDB (translations, vocabulary, flashcards).
  */
 
 import logger from './logger'
+import { DEFAULT_PROVIDER, PROVIDERS, resolveProviderConfig } from './providers'
+import { DEFAULT_TIMEOUT_SECONDS } from './http'
+import { DEFAULT_LANGUAGE_PAIR, LANGUAGE_PAIRS } from './languages'
 
 const DB_NAME = 'DutchGhostWriterDB'
-const DB_VERSION = 1
+const DB_VERSION = 3
 const TRANSLATIONS_STORE = 'translations'
+const VOCABULARY_STORE = 'vocabulary'
+const CARDS_STORE = 'cards'
 
 let db = null
 
@@ -45,6 +50,25 @@ export async function initDB() {
         store.createIndex('createdAt', 'createdAt', { unique: false })
         logger.storage('Created translations object store')
       }
+      
+      // Create vocabulary object store (added in version 2)
+      if (!database.objectStoreNames.contains(VOCABULARY_STORE)) {
+        const store = database.createObjectStore(VOCABULARY_STORE, {
+          keyPath: 'id',
+          autoIncrement: true
+        })
+        store.createIndex('word', 'word', { unique: false })
+        store.createIndex('addedAt', 'addedAt', { unique: false })
+        store.createIndex('sourceTranslationId', 'sourceTranslationId', { unique: false })
+        logger.storage('Created vocabulary object store')
+      }
+      
+      // Create flashcards object store (added in version 3)
+      if (!database.objectStoreNames.contains(CARDS_STORE)) {
+        const store = database.createObjectStore(CARDS_STORE, { keyPath: 'id' })
+        store.createIndex('due', 'due', { unique: false })
+        logger.storage('Created cards object store')
+      }
     }
   })
 }
@@ -64,9 +88,10 @@ async function getDB() {
 // =====================
 
 /**
- * Save a new translation
+ * Save a new translation (or overwrite one that has an ID).
+ * Pass `keepUpdatedAt` to keep the record's own updatedAt, e.g. when restoring a backup.
  */
-export async function saveTranslation(translation) {
+export async function saveTranslation(translation, { keepUpdatedAt = false } = {}) {
   const database = await getDB()
   
   return new Promise((resolve, reject) => {
@@ -78,7 +103,7 @@ export async function saveTranslation(translation) {
     const data = JSON.parse(JSON.stringify({
       ...translation,
       createdAt: translation.createdAt || now,
-      updatedAt: now
+      updatedAt: (keepUpdatedAt && translation.updatedAt) || now
     }))
     
     logger.storageWrite('translation', { id: data.id, title: data.title })
@@ -200,40 +225,342 @@ export async function deleteTranslation(id) {
   })
 }
 
+// =====================
+// IndexedDB Operations (Vocabulary)
+// =====================
+
+/**
+ * Save a vocabulary entry (adds when it has no ID yet)
+ */
+export async function saveVocabularyEntry(entry) {
+  const database = await getDB()
+  
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction([VOCABULARY_STORE], 'readwrite')
+    const store = tx.objectStore(VOCABULARY_STORE)
+    
+    const now = new Date().toISOString()
+    // Deep clone to remove Vue reactive Proxies - IndexedDB cannot structured-clone Proxies
+    const data = JSON.parse(JSON.stringify({
+      ...entry,
+      addedAt: entry.addedAt || now,
+      updatedAt: now
+    }))
+    
+    logger.storageWrite('vocabulary', { id: data.id, word: data.word })
+    
+    const request = data.id ? store.put(data) : store.add(data)
+    
+    request.onsuccess = () => {
+      resolve({ ...data, id: request.result })
+    }
+    
+    request.onerror = (event) => {
+      logger.error('Failed to save vocabulary entry', event.target.error)
+      reject(event.target.error)
+    }
+  })
+}
+
+/**
+ * Get all vocabulary entries, sorted by addedAt (most recent first)
+ */
+export async function getAllVocabulary() {
+  const database = await getDB()
+  
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction([VOCABULARY_STORE], 'readonly')
+    const store = tx.objectStore(VOCABULARY_STORE)
+    const index = store.index('addedAt')
+    
+    logger.storageRead('all vocabulary')
+    
+    const request = index.openCursor(null, 'prev') // Descending order
+    const entries = []
+    
+    request.onsuccess = (event) => {
+      const cursor = event.target.result
+      if (cursor) {
+        entries.push(cursor.value)
+        cursor.continue()
+      } else {
+        logger.storage(`Retrieved ${entries.length} vocabulary entries`)
+        resolve(entries)
+      }
+    }
+    
+    request.onerror = (event) => {
+      logger.error('Failed to get vocabulary', event.target.error)
+      reject(event.target.error)
+    }
+  })
+}
+
+/**
+ * Delete a vocabulary entry
+ */
+export async function deleteVocabularyEntry(id) {
+  const database = await getDB()
+  
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction([VOCABULARY_STORE], 'readwrite')
+    const store = tx.objectStore(VOCABULARY_STORE)
+    
+    logger.storageDelete(`vocabulary/${id}`)
+    
+    const request = store.delete(id)
+    
+    request.onsuccess = () => {
+      resolve(true)
+    }
+    
+    request.onerror = (event) => {
+      logger.error('Failed to delete vocabulary entry', event.target.error)
+      reject(event.target.error)
+    }
+  })
+}
+
+// =====================
+// IndexedDB Operations (Flashcards)
+// =====================
+
+/**
+ * Get all flashcards
+ */
+export async function getAllCards() {
+  const database = await getDB()
+  
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction([CARDS_STORE], 'readonly')
+    const store = tx.objectStore(CARDS_STORE)
+    
+    logger.storageRead('all cards')
+    
+    const request = store.getAll()
+    
+    request.onsuccess = () => {
+      logger.storage(`Retrieved ${request.result.length} cards`)
+      resolve(request.result)
+    }
+    
+    request.onerror = (event) => {
+      logger.error('Failed to get cards', event.target.error)
+      reject(event.target.error)
+    }
+  })
+}
+
+/**
+ * Save several flashcards in a single transaction
+ */
+export async function saveCards(cards) {
+  const database = await getDB()
+  
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction([CARDS_STORE], 'readwrite')
+    const store = tx.objectStore(CARDS_STORE)
+    
+    // Deep clone to remove Vue reactive Proxies - IndexedDB cannot structured-clone Proxies
+    const data = JSON.parse(JSON.stringify(cards))
+    
+    logger.storageWrite('cards', { count: data.length })
+    
+    data.forEach(card => store.put(card))
+    
+    tx.oncomplete = () => {
+      resolve(data)
+    }
+    
+    tx.onerror = (event) => {
+      logger.error('Failed to save cards', event.target.error)
+      reject(event.target.error)
+    }
+  })
+}
+
+/**
+ * Delete several flashcards in a single transaction
+ */
+export async function deleteCards(ids) {
+  const database = await getDB()
+  
+  return new Promise((resolve, reject) => {
+    const tx = database.transaction([CARDS_STORE], 'readwrite')
+    const store = tx.objectStore(CARDS_STORE)
+    
+    logger.storageDelete(`cards (${ids.length})`)
+    
+    ids.forEach(id => store.delete(id))
+    
+    tx.oncomplete = () => {
+      resolve(true)
+    }
+    
+    tx.onerror = (event) => {
+      logger.error('Failed to delete cards', event.target.error)
+      reject(event.target.error)
+    }
+  })
+}
+
+// =====================
+// IndexedDB Operations (Backup)
+// =====================
+
+/**
+ * Replace everything in the translations, vocabulary and cards stores in one transaction
+ */
+export async function replaceAllData({ translations, vocabulary, cards }) {
+  const database = await getDB()
+  
+  return new Promise((resolve, reject) => {
+    const storeNames = [TRANSLATIONS_STORE, VOCABULARY_STORE, CARDS_STORE]
+    const tx = database.transaction(storeNames, 'readwrite')
+    
+    // Deep clone to remove Vue reactive Proxies - IndexedDB cannot structured-clone Proxies
+    const data = JSON.parse(JSON.stringify({ translations, vocabulary, cards }))
+    
+    logger.storageWrite('all data', {
+      translations: data.translations.length,
+      vocabulary: data.vocabulary.length,
+      cards: data.cards.length
+    })
+    
+    storeNames.forEach(name => tx.objectStore(name).clear())
+    data.translations.forEach(record => tx.objectStore(TRANSLATIONS_STORE).put(record))
+    data.vocabulary.forEach(record => tx.objectStore(VOCABULARY_STORE).put(record))
+    data.cards.forEach(record => tx.objectStore(CARDS_STORE).put(record))
+    
+    tx.oncomplete = () => {
+      resolve(true)
+    }
+    
+    tx.onerror = (event) => {
+      logger.error('Failed to replace data', event.target.error)
+      reject(event.target.error)
+    }
+  })
+}
+
 // =====================
 // localStorage Operations (Settings)
 // =====================
 
 const STORAGE_KEYS = {
   API_KEY: 'dutchgw_api_key',
+  PROVIDER: 'dutchgw_provider',
+  PROVIDER_OPTIONS: 'dutchgw_provider_options',
+  REQUEST_TIMEOUT: 'dutchgw_request_timeout',
   THEME: 'dutchgw_theme',
   MAX_TEXT_LENGTH: 'dutchgw_max_text_length',
+  LANGUAGE_PAIR: 'dutchgw_language_pair',
+  CUSTOM_PRESETS: 'dutchgw_custom_presets',
   HIDE_POPUP_WARNING: 'dutchgw_hide_popup_warning'
 }
 
 /**
- * Get API key from localStorage
+ * localStorage key for a provider's API key.
+ * Gemini keeps the original key so existing installs stay configured.
+ */
+function apiKeyStorageKey(provider) {
+  return provider === DEFAULT_PROVIDER ? STORAGE_KEYS.API_KEY : `${STORAGE_KEYS.API_KEY}_${provider}`
+}
+
+/**
+ * Get the selected LLM provider from localStorage
+ */
+export function getProvider() {
+  const stored = localStorage.getItem(STORAGE_KEYS.PROVIDER)
+  const provider = PROVIDERS[stored] ? stored : DEFAULT_PROVIDER
+  logger.storageRead('provider', provider)
+  return provider
+}
+
+/**
+ * Save the selected LLM provider to localStorage
  */
-export function getApiKey() {
-  const key = localStorage.getItem(STORAGE_KEYS.API_KEY)
-  logger.storageRead('apiKey', key ? '***' : null)
+export function saveProvider(provider) {
+  logger.storageWrite('provider', provider)
+  localStorage.setItem(STORAGE_KEYS.PROVIDER, provider)
+}
+
+/**
+ * Get model and base URL overrides for every provider: { [provider]: { model, baseUrl } }
+ */
+export function getProviderOptions() {
+  try {
+    const options = JSON.parse(localStorage.getItem(STORAGE_KEYS.PROVIDER_OPTIONS)) || {}
+    logger.storageRead('providerOptions', options)
+    return options
+  } catch (error) {
+    logger.error('Failed to parse provider options', error)
+    return {}
+  }
+}
+
+/**
+ * Save model and base URL overrides for one provider
+ */
+export function saveProviderOptions(provider, options) {
+  const allOptions = { ...getProviderOptions(), [provider]: options }
+  logger.storageWrite('providerOptions', allOptions)
+  localStorage.setItem(STORAGE_KEYS.PROVIDER_OPTIONS, JSON.stringify(allOptions))
+}
+
+/**
+ * Get the API key for a provider (the selected one by default) from localStorage
+ */
+export function getApiKey(provider = getProvider()) {
+  const key = localStorage.getItem(apiKeyStorageKey(provider))
+  logger.storageRead(`apiKey (${provider})`, key ? '***' : null)
   return key
 }
 
 /**
- * Save API key to localStorage
+ * Save the API key for a provider to localStorage
+ */
+export function saveApiKey(apiKey, provider = getProvider()) {
+  logger.storageWrite(`apiKey (${provider})`, '***')
+  localStorage.setItem(apiKeyStorageKey(provider), apiKey)
+}
+
+/**
+ * Remove the API key for a provider from localStorage
+ */
+export function removeApiKey(provider = getProvider()) {
+  logger.storageDelete(`apiKey (${provider})`)
+  localStorage.removeItem(apiKeyStorageKey(provider))
+}
+
+/**
+ * Get the AI request timeout in seconds from localStorage
  */
-export function saveApiKey(apiKey) {
-  logger.storageWrite('apiKey', '***')
-  localStorage.setItem(STORAGE_KEYS.API_KEY, apiKey)
+export function getRequestTimeout() {
+  const timeout = parseInt(localStorage.getItem(STORAGE_KEYS.REQUEST_TIMEOUT), 10) || DEFAULT_TIMEOUT_SECONDS
+  logger.storageRead('requestTimeout', timeout)
+  return timeout
 }
 
 /**
- * Remove API key from localStorage
+ * Save the AI request timeout in seconds to localStorage
  */
-export function removeApiKey() {
-  logger.storageDelete('apiKey')
-  localStorage.removeItem(STORAGE_KEYS.API_KEY)
+export function saveRequestTimeout(timeout) {
+  logger.storageWrite('requestTimeout', timeout)
+  localStorage.setItem(STORAGE_KEYS.REQUEST_TIMEOUT, String(timeout))
+}
+
+/**
+ * Build the full config for the selected provider: { provider, apiKey, model, baseUrl, timeout }
+ */
+export function getProviderConfig() {
+  const provider = getProvider()
+  return resolveProviderConfig({
+    provider,
+    apiKey: getApiKey(provider),
+    ...getProviderOptions()[provider],
+    timeout: getRequestTimeout()
+  })
 }
 
 /**
@@ -270,6 +597,47 @@ export function saveMaxTextLength(length) {
   localStorage.setItem(STORAGE_KEYS.MAX_TEXT_LENGTH, String(length))
 }
 
+/**
+ * Get the language pair last used for a new exercise from localStorage
+ */
+export function getLanguagePairId() {
+  const stored = localStorage.getItem(STORAGE_KEYS.LANGUAGE_PAIR)
+  const pairId = LANGUAGE_PAIRS.some(p => p.id === stored) ? stored : DEFAULT_LANGUAGE_PAIR
+  logger.storageRead('languagePair', pairId)
+  return pairId
+}
+
+/**
+ * Save the language pair for new exercises to localStorage
+ */
+export function saveLanguagePairId(pairId) {
+  logger.storageWrite('languagePair', pairId)
+  localStorage.setItem(STORAGE_KEYS.LANGUAGE_PAIR, pairId)
+}
+
+/**
+ * Get the user's own preset topics from localStorage, in display order
+ */
+export function getCustomPresets() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.CUSTOM_PRESETS))
+    const presets = Array.isArray(stored) ? stored : []
+    logger.storageRead('customPresets', presets.length)
+    return presets
+  } catch (error) {
+    logger.error('Failed to parse custom presets', error)
+    return []
+  }
+}
+
+/**
+ * Save the user's own preset topics to localStorage
+ */
+export function saveCustomPresets(presets) {
+  logger.storageWrite('customPresets', presets.length)
+  localStorage.setItem(STORAGE_KEYS.CUSTOM_PRESETS, JSON.stringify(presets))
+}
+
 /**
  * Check if popup warning should be hidden
  */
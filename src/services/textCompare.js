@@ -0,0 +1,97 @@
+/**
+ * Tolerant comparison of a typed answer with the expected sentence, for dictation and quizzes.
+ * Pure functions - differences in accents, punctuation, capitalization and spacing don't
+ * make an answer wrong, but are reported so they can be pointed out.
+ */
+
+import { diffWords } from './diff'
+
+/**
+ * Reduce text to lowercase words without accents or punctuation, separated by single spaces.
+ * Apostrophes and hyphens inside words are dropped too ("zee-egel" → "zeeegel", "'s" → "s").
+ */
+export function normalizeForComparison(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/['’-]/g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+}
+
+/**
+ * Remove accents only, keeping case and punctuation
+ */
+function stripAccents(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC')
+}
+
+// Words only, in their written case and accents
+function lettersOf(text) {
+  return text.replace(/[^\p{L}\p{N}\p{M}\s]/gu, '').replace(/\s+/g, ' ').trim()
+}
+
+function punctuationOf(text) {
+  return text.replace(/[\p{L}\p{N}\p{M}\s]/gu, '')
+}
+
+/**
+ * Compare an answer with the expected text.
+ * Returns { isCorrect, isExact, notes, diff } where `isCorrect` ignores accents, punctuation and
+ * capitalization, `isExact` means the answer matches as written apart from spacing, `notes` lists
+ * what a correct but inexact answer got wrong ('accents', 'punctuation', 'capitalization') and
+ * `diff` is the word diff from the answer to the expected text (see diff.js).
+ */
+export function compareAnswer(expected, answer) {
+  const expectedText = (expected || '').trim().normalize('NFC')
+  const answerText = (answer || '').trim().normalize('NFC')
+  const isCorrect = !!answerText && normalizeForComparison(expectedText) === normalizeForComparison(answerText)
+  const isExact = isCorrect && expectedText.replace(/\s+/g, ' ') === answerText.replace(/\s+/g, ' ')
+
+  const notes = []
+  if (isCorrect && !isExact) {
+    const expectedWords = lettersOf(expectedText)
+    const answerWords = lettersOf(answerText)
+    if (expectedWords.toLowerCase() !== answerWords.toLowerCase()) notes.push('accents')
+    if (punctuationOf(expectedText) !== punctuationOf(answerText)) notes.push('punctuation')
+    if (stripAccents(expectedWords) !== stripAccents(answerWords)) notes.push('capitalization')
+  }
+
+  return { isCorrect, isExact, notes, diff: diffWords(answerText, expectedText) }
+}
+
+/**
+ * Levenshtein distance: the number of items (characters of a string, or array elements) to insert,
+ * delete or replace to turn `a` into `b`
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j)
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+    }
+    previous = current
+  }
+
+  return previous[b.length]
+}
+
+/**
+ * How close an answer is to the expected text, from 0 (nothing alike) to 1 (the same):
+ * the word-level edit distance relative to the longer text, ignoring accents, punctuation
+ * and capitalization. A misspelled or missing word costs the same as a wrong one.
+ */
+export function getSimilarity(expected, answer) {
+  const words = text => normalizeForComparison(text).split(' ').filter(Boolean)
+  const a = words(expected)
+  const b = words(answer)
+  if (a.length === 0 && b.length === 0) return 1
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length)
+}
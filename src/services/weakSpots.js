@@ -0,0 +1,59 @@
+/**
+ * Weak spots: the learner's recurring mistakes, gathered from the corrections in cached AI reviews.
+ * Pure functions - the text generation prompt lives in gemini.js.
+ */
+
+import { ERROR_CATEGORIES, getCorrectionCategory, isStructuredReview } from './reviewContent'
+import { getLanguagePair } from './languages'
+
+const MAX_CATEGORIES = 4
+const MAX_WORDS = 10
+
+/**
+ * Collect recurring error categories and corrected words from the reviews of exercises in a language pair.
+ * Categories and words are sorted by how often they were corrected, most frequent first.
+ * Returns { categories: [{ id, label, hint, count }], words: [{ wrong, right, count }] }
+ */
+export function collectWeakSpots(translations, pairId) {
+  const categoryCounts = new Map()
+  const words = new Map()
+
+  for (const translation of translations || []) {
+    if (getLanguagePair(translation).id !== pairId) continue
+
+    for (const sentence of translation.sentences || []) {
+      const content = sentence.aiReview?.content
+      if (!isStructuredReview(content)) continue
+
+      for (const correction of content.corrections || []) {
+        const category = getCorrectionCategory(correction)
+        if (category && category !== 'other') {
+          categoryCounts.set(category, (categoryCounts.get(category) || 0) + 1)
+        }
+
+        const key = correction.right.trim().toLowerCase()
+        if (!key) continue
+        const word = words.get(key) || { wrong: correction.wrong, right: correction.right, count: 0 }
+        word.count++
+        words.set(key, word)
+      }
+    }
+  }
+
+  return {
+    categories: [...categoryCounts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_CATEGORIES)
+      .map(([id, count]) => ({ id, label: ERROR_CATEGORIES[id].label, hint: ERROR_CATEGORIES[id].hint, count })),
+    words: [...words.values()]
+      .sort((a, b) => b.count - a.count)
+      .slice(0, MAX_WORDS)
+  }
+}
+
+/**
+ * Check whether there is anything to practice
+ */
+export function hasWeakSpots(weakSpots) {
+  return weakSpots.categories.length > 0 || weakSpots.words.length > 0
+}
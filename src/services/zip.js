@@ -0,0 +1,101 @@
+/**
+ * Minimal ZIP reader for importing EPUB files.
+ * Supports stored and deflated entries, which covers EPUBs; no ZIP64, encryption or multi-disk archives.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50
+const CENTRAL_ENTRY_SIGNATURE = 0x02014b50
+const LOCAL_HEADER_SIGNATURE = 0x04034b50
+const EOCD_MIN_SIZE = 22
+const MAX_COMMENT_SIZE = 0xffff
+
+const METHOD_STORED = 0
+const METHOD_DEFLATE = 8
+
+/**
+ * Find the End Of Central Directory record, which sits before an optional trailing comment
+ */
+function findEndOfCentralDirectory(view) {
+  const last = view.byteLength - EOCD_MIN_SIZE
+  const first = Math.max(0, last - MAX_COMMENT_SIZE)
+
+  for (let offset = last; offset >= first; offset--) {
+    if (view.getUint32(offset, true) === EOCD_SIGNATURE) {
+      return offset
+    }
+  }
+  throw new Error('The file is not a valid ZIP archive')
+}
+
+function readEntries(view, bytes) {
+  const eocd = findEndOfCentralDirectory(view)
+  const count = view.getUint16(eocd + 10, true)
+  let offset = view.getUint32(eocd + 16, true)
+
+  const decoder = new TextDecoder()
+  const entries = new Map()
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_ENTRY_SIGNATURE) {
+      throw new Error('The ZIP archive is damaged')
+    }
+
+    const nameLength = view.getUint16(offset + 28, true)
+    const extraLength = view.getUint16(offset + 30, true)
+    const commentLength = view.getUint16(offset + 32, true)
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength))
+
+    entries.set(name, {
+      name,
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      localHeaderOffset: view.getUint32(offset + 42, true)
+    })
+
+    offset += 46 + nameLength + extraLength + commentLength
+  }
+
+  return entries
+}
+
+async function inflate(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+/**
+ * Open a ZIP archive from an ArrayBuffer.
+ * Returns the entry names and readers for an entry's bytes or UTF-8 text.
+ */
+export function openZip(buffer) {
+  const view = new DataView(buffer)
+  const bytes = new Uint8Array(buffer)
+  const entries = readEntries(view, bytes)
+
+  async function read(name) {
+    const entry = entries.get(name)
+    if (!entry) {
+      throw new Error(`Missing file in archive: ${name}`)
+    }
+
+    const header = entry.localHeaderOffset
+    if (view.getUint32(header, true) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error('The ZIP archive is damaged')
+    }
+
+    // The local header's name and extra field lengths can differ from the central directory's
+    const start = header + 30 + view.getUint16(header + 26, true) + view.getUint16(header + 28, true)
+    const data = bytes.subarray(start, start + entry.compressedSize)
+
+    if (entry.method === METHOD_STORED) return data
+    if (entry.method === METHOD_DEFLATE) return inflate(data)
+    throw new Error(`Unsupported compression method ${entry.method} for ${name}`)
+  }
+
+  return {
+    names: [...entries.keys()],
+    has: name => entries.has(name),
+    read,
+    readText: async name => new TextDecoder().decode(await read(name))
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * Pinia store for spaced-repetition flashcards
+ */
+
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+import { getAllCards, saveCards, deleteCards, initDB } from '../services/storage'
+import { createSchedule, scheduleCard, isCardDue } from '../services/srs'
+import { getSuggestedTranslation } from '../services/reviewContent'
+import { useTranslationsStore } from './translations'
+import { useVocabularyStore } from './vocabulary'
+import logger from '../services/logger'
+
+/**
+ * Build the card content (without scheduling) for everything that can be practiced
+ */
+function collectCardSources(translations, vocabularyEntries) {
+  const vocabularyCards = vocabularyEntries.map(entry => ({
+    id: `vocab-${entry.id}`,
+    type: 'vocabulary',
+    front: entry.word,
+    back: entry.article ? `${entry.article} ${entry.dutch}` : entry.dutch,
+    example: entry.example || '',
+    sourceTranslationId: entry.sourceTranslationId ?? null
+  }))
+
+  const sentenceCards = translations.flatMap(translation =>
+    (translation.sentences || [])
+      .map(sentence => ({ sentence, suggested: getSuggestedTranslation(sentence.aiReview) }))
+      .filter(({ sentence, suggested }) => suggested && sentence.english?.trim())
+      .map(({ sentence, suggested }) => ({
+        id: `sentence-${translation.id}-${sentence.id}`,
+        type: 'sentence',
+        front: sentence.english,
+        back: suggested,
+        example: '',
+        sourceTranslationId: translation.id
+      }))
+  )
+
+  return [...vocabularyCards, ...sentenceCards]
+}
+
+export const useFlashcardsStore = defineStore('flashcards', () => {
+  // State
+  const cards = ref([])
+  const isInitialized = ref(false)
+
+  // Getters
+  const dueCards = computed(() => cards.value.filter(card => isCardDue(card)))
+  const dueCount = computed(() => dueCards.value.length)
+
+  // Actions
+  async function initialize() {
+    if (isInitialized.value) return
+
+    logger.app('Initializing flashcards store...')
+
+    try {
+      await initDB()
+      await loadCards()
+      isInitialized.value = true
+      logger.app('Flashcards store initialized')
+    } catch (error) {
+      logger.error('Failed to initialize flashcards store', error)
+      throw error
+    }
+  }
+
+  /**
+   * Reload cards from storage and bring them in line with the current sources
+   */
+  async function loadCards() {
+    cards.value = await getAllCards()
+    await syncCards()
+  }
+
+  /**
+   * Create cards for new vocabulary and reviewed sentences, refresh changed content
+   * and drop cards whose source no longer exists. Scheduling is kept for existing cards.
+   */
+  async function syncCards() {
+    logger.actionStart('Syncing flashcards')
+
+    const translationsStore = useTranslationsStore()
+    const vocabularyStore = useVocabularyStore()
+
+    try {
+      const sources = collectCardSources(translationsStore.translations, vocabularyStore.entries)
+      const existing = new Map(cards.value.map(card => [card.id, card]))
+      const sourceIds = new Set(sources.map(source => source.id))
+
+      const changed = sources
+        .filter(source => {
+          const card = existing.get(source.id)
+          return !card || card.front !== source.front || card.back !== source.back || card.example !== source.example
+        })
+        .map(source => ({
+          ...(existing.get(source.id) || { ...createSchedule(), createdAt: new Date().toISOString() }),
+          ...source
+        }))
+      const removedIds = cards.value.filter(card => !sourceIds.has(card.id)).map(card => card.id)
+
+      if (changed.length > 0) {
+        await saveCards(changed)
+      }
+      if (removedIds.length > 0) {
+        await deleteCards(removedIds)
+      }
+
+      changed.forEach(card => existing.set(card.id, card))
+      removedIds.forEach(id => existing.delete(id))
+      cards.value = [...existing.values()]
+
+      logger.actionSuccess('Flashcards synced', { updated: changed.length, removed: removedIds.length })
+    } catch (error) {
+      logger.error('Failed to sync flashcards', error)
+      throw error
+    }
+  }
+
+  /**
+   * Record an answer for a card and schedule its next review
+   */
+  async function gradeCard(cardId, quality) {
+    const index = cards.value.findIndex(card => card.id === cardId)
+    if (index === -1) {
+      logger.warn(`Card not found: ${cardId}`)
+      return null
+    }
+
+    logger.action(`Grading card ${cardId}`, { quality })
+
+    try {
+      const updated = { ...cards.value[index], ...scheduleCard(cards.value[index], quality) }
+      await saveCards([updated])
+      cards.value[index] = updated
+      return updated
+    } catch (error) {
+      logger.error('Failed to grade card', { cardId, quality, error: error.message })
+      throw error
+    }
+  }
+
+  return {
+    // State
+    cards,
+    isInitialized,
+
+    // Getters
+    dueCards,
+    dueCount,
+
+    // Actions
+    initialize,
+    loadCards,
+    syncCards,
+    gradeCard
+  }
+})
@@ -8,37 +8,69 @@ import {
   getApiKey, 
   saveApiKey, 
   removeApiKey,
+  getProvider,
+  saveProvider,
+  getProviderOptions,
+  saveProviderOptions,
   getTheme,
   saveTheme,
   getMaxTextLength,
-  saveMaxTextLength
+  saveMaxTextLength,
+  getRequestTimeout,
+  saveRequestTimeout,
+  getLanguagePairId,
+  saveLanguagePairId,
+  getCustomPresets,
+  saveCustomPresets
 } from '../services/storage'
+import { DEFAULT_PROVIDER, PROVIDERS, resolveProviderConfig, isProviderConfigured } from '../services/providers'
+import { DEFAULT_TIMEOUT_SECONDS } from '../services/http'
+import { DEFAULT_LANGUAGE_PAIR, LANGUAGE_PAIRS } from '../services/languages'
+import { CEFR_LEVELS, SENTENCE_COUNT_OPTIONS } from '../services/gemini'
 import logger from '../services/logger'
 
 export const useSettingsStore = defineStore('settings', () => {
   // State
-  const apiKey = ref('')
+  const provider = ref(DEFAULT_PROVIDER)
+  const providerOptions = ref({}) // { [provider]: { model, baseUrl } }
+  const apiKey = ref('') // Key for the selected provider
   const theme = ref('light')
   const maxTextLength = ref(1000)
+  const requestTimeout = ref(DEFAULT_TIMEOUT_SECONDS) // Seconds to wait for an AI response
+  const languagePair = ref(DEFAULT_LANGUAGE_PAIR) // Pair ID for new exercises, e.g. 'en-nl'
+  const customPresets = ref([]) // [{ id, label, prompt, level, sentenceCount }], shown after the built-in topics
   const isInitialized = ref(false)
 
   // Getters
-  const hasApiKey = computed(() => !!apiKey.value)
+  const providerConfig = computed(() => resolveProviderConfig({
+    provider: provider.value,
+    apiKey: apiKey.value,
+    ...providerOptions.value[provider.value],
+    timeout: requestTimeout.value
+  }))
+  // True when the selected provider is usable (Ollama needs no key)
+  const hasApiKey = computed(() => isProviderConfigured(providerConfig.value))
   const isDarkMode = computed(() => theme.value === 'dark')
 
   // Actions
   function initialize() {
     logger.app('Initializing settings store...')
     
-    apiKey.value = getApiKey() || ''
+    provider.value = getProvider()
+    providerOptions.value = getProviderOptions()
+    apiKey.value = getApiKey(provider.value) || ''
     theme.value = getTheme()
     maxTextLength.value = getMaxTextLength()
+    requestTimeout.value = getRequestTimeout()
+    languagePair.value = getLanguagePairId()
+    customPresets.value = getCustomPresets().map(sanitizePreset).filter(Boolean)
     isInitialized.value = true
     
     // Apply theme to document
     applyTheme(theme.value)
     
     logger.app('Settings store initialized', {
+      provider: provider.value,
       hasApiKey: hasApiKey.value,
       theme: theme.value,
       maxTextLength: maxTextLength.value
@@ -47,14 +79,38 @@ export const useSettingsStore = defineStore('settings', () => {
 
   function setApiKey(key) {
     apiKey.value = key
-    saveApiKey(key)
-    logger.actionSuccess('API key saved')
+    saveApiKey(key, provider.value)
+    logger.actionSuccess(`API key saved for ${provider.value}`)
   }
 
   function clearApiKey() {
     apiKey.value = ''
-    removeApiKey()
-    logger.actionSuccess('API key cleared')
+    removeApiKey(provider.value)
+    logger.actionSuccess(`API key cleared for ${provider.value}`)
+  }
+
+  /**
+   * Get the saved API key for any provider, not just the selected one
+   */
+  function getStoredApiKey(providerId) {
+    return getApiKey(providerId) || ''
+  }
+
+  function setProvider(newProvider) {
+    provider.value = newProvider
+    saveProvider(newProvider)
+    apiKey.value = getApiKey(newProvider) || ''
+    logger.actionSuccess(`Provider updated to: ${newProvider}`)
+  }
+
+  /**
+   * Save model and base URL overrides for a provider; empty values fall back to its defaults
+   */
+  function setProviderOptions(providerId, { model = '', baseUrl = '' }) {
+    const options = { model: model.trim(), baseUrl: baseUrl.trim() }
+    providerOptions.value = { ...providerOptions.value, [providerId]: options }
+    saveProviderOptions(providerId, options)
+    logger.actionSuccess(`Provider options updated for ${providerId}`, options)
   }
 
   function setTheme(newTheme) {
@@ -81,14 +137,142 @@ export const useSettingsStore = defineStore('settings', () => {
     logger.actionSuccess(`Max text length updated to: ${validLength}`)
   }
 
+  function setRequestTimeout(seconds) {
+    const validTimeout = Math.max(10, Math.min(300, seconds))
+    requestTimeout.value = validTimeout
+    saveRequestTimeout(validTimeout)
+    logger.actionSuccess(`Request timeout updated to: ${validTimeout}s`)
+  }
+
+  function setLanguagePair(pairId) {
+    if (!LANGUAGE_PAIRS.some(p => p.id === pairId)) {
+      logger.warn(`Unknown language pair: ${pairId}`)
+      return
+    }
+    languagePair.value = pairId
+    saveLanguagePairId(pairId)
+    logger.actionSuccess(`Language pair updated to: ${pairId}`)
+  }
+
+  /**
+   * Check a custom preset's fields, dropping unknown levels and lengths.
+   * Returns null for presets without an ID, label or prompt.
+   */
+  function sanitizePreset(preset) {
+    if (!preset || typeof preset !== 'object') return null
+
+    const id = typeof preset.id === 'string' ? preset.id : ''
+    const label = typeof preset.label === 'string' ? preset.label.trim() : ''
+    const prompt = typeof preset.prompt === 'string' ? preset.prompt.trim() : ''
+    if (!id || !label || !prompt) return null
+
+    return {
+      id,
+      label,
+      prompt,
+      level: CEFR_LEVELS.some(l => l.id === preset.level) ? preset.level : null,
+      sentenceCount: SENTENCE_COUNT_OPTIONS.includes(preset.sentenceCount) ? preset.sentenceCount : null
+    }
+  }
+
+  function persistCustomPresets(presets) {
+    customPresets.value = presets
+    saveCustomPresets(presets)
+  }
+
+  /**
+   * Add a custom preset, or update the one with the same ID.
+   * Returns the saved preset, or null when the label or prompt is missing.
+   */
+  function saveCustomPreset({ id, label, prompt, level = null, sentenceCount = null }) {
+    const isNew = !id
+    const preset = sanitizePreset({
+      id: id || `custom-${Date.now().toString(36)}`,
+      label,
+      prompt,
+      level,
+      sentenceCount
+    })
+    if (!preset) {
+      logger.warn('Custom preset needs a label and a prompt')
+      return null
+    }
+
+    persistCustomPresets(isNew
+      ? [...customPresets.value, preset]
+      : customPresets.value.map(p => p.id === preset.id ? preset : p))
+    logger.actionSuccess(`Custom preset ${isNew ? 'added' : 'updated'}: ${preset.label}`)
+    return preset
+  }
+
+  function deleteCustomPreset(id) {
+    persistCustomPresets(customPresets.value.filter(p => p.id !== id))
+    logger.actionSuccess(`Custom preset deleted: ${id}`)
+  }
+
+  /**
+   * Move a custom preset up (-1) or down (1) in the list
+   */
+  function moveCustomPreset(id, offset) {
+    const index = customPresets.value.findIndex(p => p.id === id)
+    const target = index + offset
+    if (index < 0 || target < 0 || target >= customPresets.value.length) return
+
+    const presets = [...customPresets.value]
+    ;[presets[index], presets[target]] = [presets[target], presets[index]]
+    persistCustomPresets(presets)
+    logger.actionSuccess(`Custom preset moved: ${id}`)
+  }
+
+  /**
+   * Apply non-secret settings restored from a backup, ignoring unknown or invalid values
+   */
+  function importSettings(settings = {}) {
+    logger.action('Importing settings from backup')
+    
+    if (settings.theme === 'light' || settings.theme === 'dark') {
+      setTheme(settings.theme)
+    }
+    if (Number.isFinite(settings.maxTextLength)) {
+      setMaxTextLength(settings.maxTextLength)
+    }
+    if (Number.isFinite(settings.requestTimeout)) {
+      setRequestTimeout(settings.requestTimeout)
+    }
+    if (LANGUAGE_PAIRS.some(p => p.id === settings.languagePair)) {
+      setLanguagePair(settings.languagePair)
+    }
+    Object.entries(settings.providerOptions || {})
+      .filter(([providerId, options]) => PROVIDERS[providerId] && options && typeof options === 'object')
+      .forEach(([providerId, options]) => setProviderOptions(providerId, {
+        model: typeof options.model === 'string' ? options.model : '',
+        baseUrl: typeof options.baseUrl === 'string' ? options.baseUrl : ''
+      }))
+    if (Array.isArray(settings.customPresets)) {
+      // Backed-up presets replace local ones with the same ID; others are kept
+      const imported = settings.customPresets.map(sanitizePreset).filter(Boolean)
+      const importedIds = new Set(imported.map(p => p.id))
+      persistCustomPresets([
+        ...customPresets.value.filter(p => !importedIds.has(p.id)),
+        ...imported
+      ])
+    }
+  }
+
   return {
     // State
+    provider,
+    providerOptions,
     apiKey,
     theme,
     maxTextLength,
+    requestTimeout,
+    languagePair,
+    customPresets,
     isInitialized,
     
     // Getters
+    providerConfig,
     hasApiKey,
     isDarkMode,
     
@@ -96,8 +280,17 @@ export const useSettingsStore = defineStore('settings', () => {
     initialize,
     setApiKey,
     clearApiKey,
+    getStoredApiKey,
+    setProvider,
+    setProviderOptions,
     setTheme,
     toggleTheme,
-    setMaxTextLength
+    setMaxTextLength,
+    setRequestTimeout,
+    setLanguagePair,
+    saveCustomPreset,
+    deleteCustomPreset,
+    moveCustomPreset,
+    importSettings
   }
 })
@@ -11,11 +11,28 @@ import {
   updateTranslation,
   deleteTranslation,
   initDB,
-  getApiKey
+  getProviderConfig
 } from '../services/storage'
-import { reviewTranslation } from '../services/gemini'
+import { isProviderConfigured } from '../services/providers'
+import { ApiError, ERROR_TYPES } from '../services/http'
+import { reviewTranslation, reviewTranslationsBatch, translateWord, generateHints, regradeQuizAnswer, generateDrills } from '../services/gemini'
+import { scoreFromReview, getAssessment, getSuggestedTranslation, getReferenceTranslation } from '../services/reviewContent'
+import { HINT_LEVELS, getHintsUsed, hasCurrentHints } from '../services/hints'
+import { getDutchSentences } from '../services/drills'
+import { DEFAULT_LANGUAGE_PAIR, getLanguagePair, resolveLanguagePair } from '../services/languages'
 import logger from '../services/logger'
 
+// Number of sentences sent to the AI per batch review request
+const REVIEW_BATCH_SIZE = 5
+// Earlier translations kept per sentence
+const HISTORY_LIMIT = 20
+// Undo steps kept for the open exercise, and the time within which typing is merged into one step
+const UNDO_LIMIT = 100
+const UNDO_MERGE_MS = 2000
+// Quiz attempts and drill sessions kept per exercise
+const QUIZ_ATTEMPT_LIMIT = 20
+const DRILL_SESSION_LIMIT = 50
+
 export const useTranslationsStore = defineStore('translations', () => {
   // State
   const translations = ref([])
@@ -27,17 +44,42 @@ export const useTranslationsStore = defineStore('translations', () => {
   const reviewSentenceId = ref(null) // ID of sentence currently being reviewed
   const isReviewLoading = ref(false)
   const reviewError = ref(null)
+  const streamingReview = ref(null) // Partial review content while a review streams in
+  let reviewAbortController = null
+  
+  // Batch Review State
+  const batchReview = ref(null) // { total, completed, failed } while a batch review runs
+  let batchReviewCancelled = false
+  let batchAbortController = null
+
+  // Undo State (sentence changes in the current translation, see recordUndo)
+  const undoStack = ref([])
+  const redoStack = ref([])
 
   // Getters
   const translationCount = computed(() => translations.value.length)
   const hasTranslations = computed(() => translations.value.length > 0)
   
+  // Source and target languages of the current exercise
+  const currentLanguagePair = computed(() => getLanguagePair(currentTranslation.value))
+  
+  const canUndo = computed(() => undoStack.value.length > 0)
+  const canRedo = computed(() => redoStack.value.length > 0)
+  
   // Get the current sentence being reviewed
   const currentReviewSentence = computed(() => {
     if (!reviewSentenceId.value || !currentTranslation.value) return null
     return currentTranslation.value.sentences.find(s => s.id === reviewSentenceId.value)
   })
   
+  // Sentences that have both texts but no up-to-date review
+  const sentencesNeedingReview = computed(() => {
+    if (!currentTranslation.value) return []
+    return currentTranslation.value.sentences.filter(s =>
+      s.english?.trim() && s.dutch?.trim() && (!s.aiReview?.content || s.aiReview.stale)
+    )
+  })
+  
   // Get cached review content for the current review sentence
   const currentReviewContent = computed(() => {
     return currentReviewSentence.value?.aiReview?.content || null
@@ -85,6 +127,9 @@ export const useTranslationsStore = defineStore('translations', () => {
     try {
       const translation = await getTranslation(id)
       if (translation) {
+        if (translation.id !== currentTranslation.value?.id) {
+          clearUndoHistory()
+        }
         currentTranslation.value = translation
         logger.actionSuccess(`Loaded translation: ${translation.title}`)
       } else {
@@ -99,16 +144,21 @@ export const useTranslationsStore = defineStore('translations', () => {
     }
   }
 
-  async function createTranslation(englishText, sentences) {
+  async function createTranslation(englishText, sentences, options = {}) {
     logger.action('Creating new translation')
     
-    // Generate title from first 5 words of first sentence
+    // Generate title from first 5 words of first sentence, unless one is given
     const firstSentence = sentences[0]?.english || englishText
     const words = firstSentence.split(/\s+/).slice(0, 5).join(' ')
-    const title = words.length < firstSentence.length ? `${words}...` : words
+    const title = options.title || (words.length < firstSentence.length ? `${words}...` : words)
+    const pair = resolveLanguagePair(options.languagePair || DEFAULT_LANGUAGE_PAIR)
     
     const newTranslation = {
       title,
+      sourceLang: pair.source.code,
+      targetLang: pair.target.code,
+      // AI generation settings ({ level, sentenceCount, grammarFocus, topic }) for generated texts
+      ...(options.generation ? { generation: options.generation } : {}),
       originalText: englishText,
       sentences: sentences.map((s, index) => ({
         id: index + 1,
@@ -119,6 +169,7 @@ export const useTranslationsStore = defineStore('translations', () => {
     
     try {
       const saved = await saveTranslation(newTranslation)
+      clearUndoHistory()
       currentTranslation.value = saved
       
       // Add to beginning of list (most recent first)
@@ -160,7 +211,18 @@ export const useTranslationsStore = defineStore('translations', () => {
     }
   }
 
-  async function updateSentence(sentenceId, field, value) {
+  /**
+   * Set one field of a sentence in the current translation.
+   * The user's previous translation is added to `sentence.history`
+   * ({ dutch, replacedAt, assessment }, oldest first, at most HISTORY_LIMIT entries) when it had
+   * an up-to-date review, so the history shows how it changed after each review,
+   * or always with `options.keepHistory`.
+   * Pass `options.spoken` when the translation was dictated: the recognized text is kept as
+   * `sentence.spoken` ({ text, recordedAt }) so later typed corrections don't overwrite it.
+   * With `options.acceptedSuggestion` the new translation is the review's own suggestion, so the
+   * review isn't marked stale; it records `acceptedAt` instead.
+   */
+  async function updateSentence(sentenceId, field, value, options = {}) {
     if (!currentTranslation.value) return
     
     logger.action(`Updating sentence ${sentenceId}: ${field}`)
@@ -175,8 +237,40 @@ export const useTranslationsStore = defineStore('translations', () => {
         [field]: value
       }
       
+      const hasFreshReview = !!currentSentence.aiReview?.content && !currentSentence.aiReview.stale
+      if (field === 'dutch' && currentSentence.dutch?.trim() && currentSentence.dutch !== value &&
+          (options.keepHistory || hasFreshReview)) {
+        updatedSentence.history = [
+          ...(currentSentence.history || []),
+          {
+            dutch: currentSentence.dutch,
+            replacedAt: new Date().toISOString(),
+            assessment: hasFreshReview ? getAssessment(currentSentence.aiReview) : null
+          }
+        ].slice(-HISTORY_LIMIT)
+      }
+      
+      // Remember when the sentence was first translated, for the progress dashboard
+      if (field === 'dutch') {
+        if (!value.trim()) {
+          delete updatedSentence.translatedAt
+          delete updatedSentence.spoken
+        } else if (!currentSentence.dutch?.trim()) {
+          updatedSentence.translatedAt = new Date().toISOString()
+        }
+        
+        if (options.spoken) {
+          updatedSentence.spoken = { text: options.spoken, recordedAt: new Date().toISOString() }
+        }
+      }
+      
       // Mark AI review as stale when english or dutch content changes
-      if ((field === 'english' || field === 'dutch') && currentSentence.aiReview?.content) {
+      if (field === 'dutch' && options.acceptedSuggestion && currentSentence.aiReview?.content) {
+        updatedSentence.aiReview = {
+          ...currentSentence.aiReview,
+          acceptedAt: new Date().toISOString()
+        }
+      } else if ((field === 'english' || field === 'dutch') && currentSentence.aiReview?.content) {
         updatedSentence.aiReview = {
           ...currentSentence.aiReview,
           stale: true
@@ -185,9 +279,25 @@ export const useTranslationsStore = defineStore('translations', () => {
       
       sentences[sentenceIndex] = updatedSentence
       await updateCurrentTranslation({ sentences })
+      recordUndo({ type: 'edit', sentenceId, field, before: currentSentence, after: updatedSentence })
     }
   }
 
+  /**
+   * Replace a sentence's translation with the suggested translation from its review,
+   * keeping the user's own version in the sentence history. The review stays up to date,
+   * since the new translation is the one it suggested.
+   */
+  async function acceptSuggestion(sentenceId) {
+    const sentence = currentTranslation.value?.sentences.find(s => s.id === sentenceId)
+    const suggestion = getSuggestedTranslation(sentence?.aiReview)
+    if (!suggestion || suggestion === sentence.dutch) return
+    
+    logger.action(`Accepting suggested translation for sentence ${sentenceId}`)
+    await updateSentence(sentenceId, 'dutch', suggestion, { keepHistory: true, acceptedSuggestion: true })
+    logger.actionSuccess(`Accepted suggested translation for sentence ${sentenceId}`)
+  }
+
   async function addSentence(afterId = null) {
     if (!currentTranslation.value) return
     
@@ -209,23 +319,117 @@ export const useTranslationsStore = defineStore('translations', () => {
     }
     
     await updateCurrentTranslation({ sentences })
+    recordUndo({ type: 'insert', sentence: newSentence, index: sentences.indexOf(newSentence) })
     logger.actionSuccess('Added new sentence row')
   }
 
   async function deleteSentence(sentenceId) {
     if (!currentTranslation.value) return
     
-    const sentence = currentTranslation.value.sentences.find(s => s.id === sentenceId)
+    const index = currentTranslation.value.sentences.findIndex(s => s.id === sentenceId)
+    const sentence = currentTranslation.value.sentences[index]
     logger.action(`Deleting sentence ${sentenceId}`)
     
     const sentences = currentTranslation.value.sentences.filter(s => s.id !== sentenceId)
     
     await updateCurrentTranslation({ sentences })
+    if (sentence) {
+      recordUndo({ type: 'delete', sentence, index })
+    }
     logger.actionSuccess('Deleted sentence row')
     
     return sentence
   }
 
+  // =====================
+  // Undo / Redo
+  // =====================
+
+  /**
+   * Add a sentence change to the undo stack and clear the redo stack.
+   * Entries are { type: 'edit', sentenceId, field, before, after }, { type: 'insert', sentence, index }
+   * or { type: 'delete', sentence, index }. Edits to the same field within UNDO_MERGE_MS of each
+   * other (typing) are merged into one step.
+   */
+  function recordUndo(entry) {
+    const now = Date.now()
+    const last = undoStack.value[undoStack.value.length - 1]
+    
+    if (entry.type === 'edit' && last?.type === 'edit' && last.sentenceId === entry.sentenceId &&
+        last.field === entry.field && now - last.at < UNDO_MERGE_MS) {
+      last.after = entry.after
+      last.at = now
+    } else {
+      undoStack.value = [...undoStack.value, { ...entry, at: now }].slice(-UNDO_LIMIT)
+    }
+    redoStack.value = []
+  }
+
+  function clearUndoHistory() {
+    undoStack.value = []
+    redoStack.value = []
+  }
+
+  /**
+   * Apply an undo entry in either direction to the current translation's sentences.
+   * Edits only restore the edited field; reviews, history and hints added since are kept,
+   * with the review marked stale when the restored text differs from the current one.
+   */
+  async function applyUndoEntry(entry, direction) {
+    const sentences = [...currentTranslation.value.sentences]
+    const isUndo = direction === 'undo'
+    
+    if (entry.type === 'edit') {
+      const index = sentences.findIndex(s => s.id === entry.sentenceId)
+      if (index === -1) return
+      const current = sentences[index]
+      const snapshot = isUndo ? entry.before : entry.after
+      const restored = { ...current, [entry.field]: snapshot[entry.field] }
+      
+      // When the translation was first made and what was dictated belong to the restored text
+      if (entry.field === 'dutch') {
+        for (const key of ['translatedAt', 'spoken']) {
+          if (snapshot[key]) restored[key] = snapshot[key]
+          else delete restored[key]
+        }
+      }
+      
+      if (restored[entry.field] !== current[entry.field] && current.aiReview?.content) {
+        restored.aiReview = { ...current.aiReview, stale: true }
+      }
+      sentences[index] = restored
+    } else if ((entry.type === 'insert') === isUndo) {
+      // Undoing an insert or redoing a delete removes the sentence again
+      const index = sentences.findIndex(s => s.id === entry.sentence.id)
+      if (index === -1) return
+      sentences.splice(index, 1)
+    } else {
+      sentences.splice(Math.min(entry.index, sentences.length), 0, entry.sentence)
+    }
+    
+    await updateCurrentTranslation({ sentences })
+  }
+
+  async function undo() {
+    const entry = undoStack.value[undoStack.value.length - 1]
+    if (!entry || !currentTranslation.value) return
+    
+    logger.action(`Undoing sentence ${entry.type}`)
+    undoStack.value = undoStack.value.slice(0, -1)
+    redoStack.value = [...redoStack.value, entry]
+    await applyUndoEntry(entry, 'undo')
+  }
+
+  async function redo() {
+    const entry = redoStack.value[redoStack.value.length - 1]
+    if (!entry || !currentTranslation.value) return
+    
+    logger.action(`Redoing sentence ${entry.type}`)
+    redoStack.value = redoStack.value.slice(0, -1)
+    undoStack.value = [...undoStack.value, { ...entry, at: 0 }]
+    await applyUndoEntry(entry, 'redo')
+  }
+
   async function renameTranslation(id, newTitle) {
     logger.action(`Renaming translation ${id} to: ${newTitle}`)
     
@@ -263,6 +467,7 @@ export const useTranslationsStore = defineStore('translations', () => {
       // Clear current if it's the one being deleted
       if (currentTranslation.value?.id === id) {
         currentTranslation.value = null
+        clearUndoHistory()
       }
       
       logger.actionSuccess(`Deleted translation: ${id}`)
@@ -275,6 +480,7 @@ export const useTranslationsStore = defineStore('translations', () => {
   function clearCurrentTranslation() {
     logger.action('Clearing current translation')
     currentTranslation.value = null
+    clearUndoHistory()
   }
 
   // =====================
@@ -323,6 +529,27 @@ export const useTranslationsStore = defineStore('translations', () => {
     return !!sentence?.aiReview?.stale
   }
 
+  /**
+   * Return a copy of the sentences with the given reviews cached on them.
+   * Each review is { sentenceId, content, reviewed } where `reviewed` is the sentence as it was sent;
+   * a review is marked stale right away if the sentence was edited while it was being generated.
+   */
+  function applyReviews(sentences, reviews) {
+    const generatedAt = new Date().toISOString()
+    
+    return sentences.map(s => {
+      const review = reviews.find(r => r.sentenceId === s.id)
+      if (!review) return s
+      
+      const aiReview = { content: review.content, generatedAt }
+      if (s.english !== review.reviewed.english || s.dutch !== review.reviewed.dutch) {
+        aiReview.stale = true
+      }
+      
+      return { ...s, aiReview, score: scoreFromReview(aiReview) }
+    })
+  }
+
   /**
    * Open the review sidebar for a sentence
    */
@@ -337,9 +564,13 @@ export const useTranslationsStore = defineStore('translations', () => {
    */
   function closeReview() {
     logger.action('Closing review sidebar')
+    // Stop a review that is still streaming; its partial output is discarded
+    reviewAbortController?.abort()
+    reviewAbortController = null
     reviewSentenceId.value = null
     reviewError.value = null
     isReviewLoading.value = false
+    streamingReview.value = null
   }
 
   /**
@@ -363,8 +594,8 @@ export const useTranslationsStore = defineStore('translations', () => {
       return
     }
     
-    const apiKey = getApiKey()
-    if (!apiKey) {
+    const providerConfig = getProviderConfig()
+    if (!isProviderConfigured(providerConfig)) {
       reviewError.value = 'API key not configured. Please set up your API key in Settings.'
       return
     }
@@ -372,45 +603,417 @@ export const useTranslationsStore = defineStore('translations', () => {
     logger.actionStart(`Generating AI review for sentence ${reviewSentenceId.value}`)
     isReviewLoading.value = true
     reviewError.value = null
+    streamingReview.value = null
+    const abortController = new AbortController()
+    reviewAbortController = abortController
     
     try {
       const { before, after } = getContextSentences(reviewSentenceId.value)
       
       const result = await reviewTranslation(
-        apiKey,
+        providerConfig,
         sentence.english,
         sentence.dutch,
         before,
-        after
+        after,
+        {
+          pair: currentLanguagePair.value,
+          spoken: sentence.spoken?.text,
+          signal: abortController.signal,
+          onPartial: (content) => {
+            if (!abortController.signal.aborted) streamingReview.value = content
+          }
+        }
       )
       
+      if (result.errorType === ERROR_TYPES.CANCELLED) {
+        logger.actionFail('AI review cancelled')
+        return
+      }
       if (!result.success) {
-        throw new Error(result.error)
+        throw new ApiError(result.errorType, result.error)
       }
       
-      // Save the review to the sentence
-      const sentences = [...currentTranslation.value.sentences]
-      const sentenceIndex = sentences.findIndex(s => s.id === reviewSentenceId.value)
+      // Save the complete review to the sentence; partial streamed output is never cached
+      const sentences = applyReviews(currentTranslation.value.sentences, [
+        { sentenceId: sentence.id, content: result.content, reviewed: sentence }
+      ])
       
-      if (sentenceIndex !== -1) {
-        sentences[sentenceIndex] = {
-          ...sentences[sentenceIndex],
-          aiReview: {
-            content: result.content,
-            generatedAt: new Date().toISOString()
-          }
+      await updateCurrentTranslation({ sentences })
+      logger.actionSuccess('AI review generated and cached')
+    } catch (error) {
+      logger.error('Failed to generate AI review', error)
+      reviewError.value = error.message || 'Failed to generate review'
+    } finally {
+      // A newer request may have taken over while this one was finishing
+      if (reviewAbortController === abortController) {
+        reviewAbortController = null
+        isReviewLoading.value = false
+        streamingReview.value = null
+      }
+    }
+  }
+
+  /**
+   * Review every sentence whose review is missing or stale, in batches.
+   * Reviews are cached after each batch so cancelling keeps the finished ones.
+   */
+  async function reviewAllSentences() {
+    if (!currentTranslation.value || batchReview.value) return
+    
+    const pending = [...sentencesNeedingReview.value]
+    if (pending.length === 0) {
+      logger.action('No sentences need a review')
+      return
+    }
+    
+    const providerConfig = getProviderConfig()
+    if (!isProviderConfigured(providerConfig)) {
+      throw new Error('API key not configured. Please set up your API key in Settings.')
+    }
+    
+    const translationId = currentTranslation.value.id
+    logger.actionStart(`Reviewing ${pending.length} sentences`, { translationId })
+    batchReviewCancelled = false
+    batchAbortController = new AbortController()
+    batchReview.value = { total: pending.length, completed: 0, failed: 0 }
+    
+    try {
+      for (let start = 0; start < pending.length; start += REVIEW_BATCH_SIZE) {
+        if (batchReviewCancelled || currentTranslation.value?.id !== translationId) {
+          logger.actionFail('Batch review stopped', { completed: batchReview.value.completed })
+          break
+        }
+        
+        const batch = pending.slice(start, start + REVIEW_BATCH_SIZE)
+        const items = batch.map(sentence => {
+          const { before, after } = getContextSentences(sentence.id)
+          return { id: sentence.id, english: sentence.english, dutch: sentence.dutch, spoken: sentence.spoken?.text, before, after }
+        })
+        
+        const result = await reviewTranslationsBatch(providerConfig, items, {
+          pair: currentLanguagePair.value,
+          signal: batchAbortController.signal
+        })
+        if (result.errorType === ERROR_TYPES.CANCELLED) {
+          logger.actionFail('Batch review stopped', { completed: batchReview.value.completed })
+          break
         }
+        if (!result.success) {
+          throw new ApiError(result.errorType, result.error)
+        }
+        
+        // The user may have navigated away while the request was running
+        if (currentTranslation.value?.id !== translationId) break
         
-        await updateCurrentTranslation({ sentences })
-        logger.actionSuccess('AI review generated and cached')
+        const reviews = result.reviews.map(review => ({
+          ...review,
+          reviewed: batch.find(s => s.id === review.sentenceId)
+        }))
+        
+        if (reviews.length > 0) {
+          await updateCurrentTranslation({
+            sentences: applyReviews(currentTranslation.value.sentences, reviews)
+          })
+        }
+        
+        batchReview.value = {
+          ...batchReview.value,
+          completed: batchReview.value.completed + reviews.length,
+          failed: batchReview.value.failed + batch.length - reviews.length
+        }
       }
+      
+      logger.actionSuccess('Batch review finished', {
+        completed: batchReview.value.completed,
+        failed: batchReview.value.failed
+      })
     } catch (error) {
-      logger.error('Failed to generate AI review', error)
-      reviewError.value = error.message || 'Failed to generate review'
+      logger.error('Batch review failed', {
+        translationId,
+        completed: batchReview.value.completed,
+        error: error.message
+      })
+      throw error
     } finally {
-      isReviewLoading.value = false
+      batchReview.value = null
+      batchAbortController = null
     }
   }
+  
+  /**
+   * Stop a running batch review, aborting the request in flight.
+   * Batches that already finished stay cached.
+   */
+  function cancelBatchReview() {
+    if (!batchReview.value) return
+    logger.action('Cancelling batch review')
+    batchReviewCancelled = true
+    batchAbortController?.abort()
+  }
+
+  // =====================
+  // Unknown Words Functions
+  // =====================
+
+  function normalizeWord(word) {
+    return word.trim().toLowerCase()
+  }
+
+  /**
+   * Get the freshest copy of every translation (the current one may be newer than the list entry)
+   */
+  function getLatestTranslations() {
+    return translations.value.map(t =>
+      t.id === currentTranslation.value?.id ? currentTranslation.value : t
+    )
+  }
+
+  /**
+   * Count how many times a word has been looked up across all exercises
+   */
+  function getWordLookupCount(word) {
+    const key = normalizeWord(word)
+    return getLatestTranslations().reduce((total, translation) => {
+      const entry = translation.unknownWords?.find(w => w.word === key)
+      return total + (entry?.lookups || 0)
+    }, 0)
+  }
+
+  /**
+   * Find the most recent lookup of a word in any exercise
+   */
+  function findPreviousLookup(word) {
+    const key = normalizeWord(word)
+    return getLatestTranslations()
+      .map(t => t.unknownWords?.find(w => w.word === key))
+      .filter(Boolean)
+      .sort((a, b) => b.lastLookedUpAt.localeCompare(a.lastLookedUpAt))[0] || null
+  }
+
+  /**
+   * Look up a word with AI and add it to the current exercise's unknown words
+   */
+  async function lookupWord(word, sentenceId) {
+    if (!currentTranslation.value) return null
+    
+    const providerConfig = getProviderConfig()
+    if (!isProviderConfigured(providerConfig)) {
+      throw new Error('API key not configured. Please set up your API key in Settings.')
+    }
+    
+    const key = normalizeWord(word)
+    logger.actionStart(`Looking up word: ${key}`)
+    
+    try {
+      const sentence = currentTranslation.value.sentences.find(s => s.id === sentenceId)
+      const result = await translateWord(providerConfig, key, sentence?.english, { pair: currentLanguagePair.value })
+      
+      if (!result.success) {
+        throw new ApiError(result.errorType, result.error)
+      }
+      
+      const now = new Date().toISOString()
+      const unknownWords = [...(currentTranslation.value.unknownWords || [])]
+      const index = unknownWords.findIndex(w => w.word === key)
+      
+      if (index !== -1) {
+        unknownWords[index] = {
+          ...unknownWords[index],
+          translation: result.translation,
+          lookups: unknownWords[index].lookups + 1,
+          lastLookedUpAt: now
+        }
+      } else {
+        unknownWords.push({
+          word: key,
+          translation: result.translation,
+          sentenceId,
+          lookups: 1,
+          addedAt: now,
+          lastLookedUpAt: now
+        })
+      }
+      
+      await updateCurrentTranslation({ unknownWords })
+      logger.actionSuccess(`Looked up word: ${key}`)
+      return unknownWords.find(w => w.word === key)
+    } catch (error) {
+      logger.error('Failed to look up word', { word: key, sentenceId, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Remove a word from the current exercise's unknown words
+   */
+  async function removeUnknownWord(word) {
+    if (!currentTranslation.value) return
+    
+    const key = normalizeWord(word)
+    logger.action(`Removing unknown word: ${key}`)
+    
+    const unknownWords = (currentTranslation.value.unknownWords || []).filter(w => w.word !== key)
+    await updateCurrentTranslation({ unknownWords })
+  }
+
+  // =====================
+  // Hint Functions
+  // =====================
+
+  /**
+   * Reveal the next hint for a sentence (see hints.js). Hints are generated when the sentence
+   * has none for its current source text; the ladder then starts again at the first hint.
+   * Revealing isn't recorded for undo, since every hint counts against the sentence score.
+   */
+  async function revealNextHint(sentenceId) {
+    if (!currentTranslation.value) return
+    
+    const sentence = currentTranslation.value.sentences.find(s => s.id === sentenceId)
+    if (!sentence?.english?.trim()) return
+    
+    const hasHints = hasCurrentHints(sentence)
+    if (hasHints && getHintsUsed(sentence) >= HINT_LEVELS.length) return
+    
+    logger.actionStart(`Revealing hint for sentence ${sentenceId}`)
+    
+    try {
+      let hints = sentence.hints
+      if (!hasHints) {
+        const providerConfig = getProviderConfig()
+        if (!isProviderConfigured(providerConfig)) {
+          throw new Error('API key not configured. Please set up your API key in Settings.')
+        }
+        
+        const { before, after } = getContextSentences(sentenceId)
+        const result = await generateHints(providerConfig, sentence.english, before, after, {
+          pair: currentLanguagePair.value
+        })
+        if (!result.success) {
+          throw new ApiError(result.errorType, result.error)
+        }
+        hints = { content: result.hints, english: sentence.english, generatedAt: new Date().toISOString() }
+      }
+      
+      // The sentence may have been edited while the hints were generated
+      const sentences = currentTranslation.value.sentences.map(s => s.id === sentenceId
+        ? { ...s, hints, hintsUsed: hasHints ? Math.min(HINT_LEVELS.length, getHintsUsed(s) + 1) : 1 }
+        : s
+      )
+      await updateCurrentTranslation({ sentences })
+      logger.actionSuccess(`Revealed hint for sentence ${sentenceId}`)
+    } catch (error) {
+      logger.error('Failed to reveal hint', { sentenceId, error: error.message })
+      throw error
+    }
+  }
+
+  // =====================
+  // Quiz Functions
+  // =====================
+
+  /**
+   * Ask the AI to re-grade a quiz answer for a sentence of the current exercise.
+   * Returns { verdict, score, explanation } (see quiz.js).
+   */
+  async function regradeAnswer(sentenceId, answer) {
+    const sentence = currentTranslation.value?.sentences.find(s => s.id === sentenceId)
+    const reference = getReferenceTranslation(sentence)
+    if (!reference) {
+      throw new Error('This sentence has no reference translation')
+    }
+    
+    const providerConfig = getProviderConfig()
+    if (!isProviderConfigured(providerConfig)) {
+      throw new Error('API key not configured. Please set up your API key in Settings.')
+    }
+    
+    logger.actionStart(`Re-grading quiz answer for sentence ${sentenceId}`)
+    
+    try {
+      const result = await regradeQuizAnswer(providerConfig, sentence.english, reference, answer, {
+        pair: currentLanguagePair.value
+      })
+      if (!result.success) {
+        throw new ApiError(result.errorType, result.error)
+      }
+      
+      logger.actionSuccess(`Re-graded quiz answer for sentence ${sentenceId}`, { verdict: result.grade.verdict })
+      return result.grade
+    } catch (error) {
+      logger.error('Failed to re-grade quiz answer', { sentenceId, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Store a finished quiz attempt on the current exercise, keeping the latest QUIZ_ATTEMPT_LIMIT
+   */
+  async function saveQuizAttempt(attempt) {
+    if (!currentTranslation.value) return
+    
+    logger.action(`Saving quiz attempt: score ${attempt.score}`)
+    const quizAttempts = [...(currentTranslation.value.quizAttempts || []), attempt].slice(-QUIZ_ATTEMPT_LIMIT)
+    await updateCurrentTranslation({ quizAttempts })
+  }
+
+  // =====================
+  // Drill Functions
+  // =====================
+
+  /**
+   * Generate de/het and conjugation drills from the current exercise's Dutch sentences
+   * and cache them on the exercise (see drills.js)
+   */
+  async function createDrills() {
+    if (!currentTranslation.value) return null
+    
+    const sentences = getDutchSentences(currentTranslation.value)
+    if (sentences.length === 0) {
+      throw new Error('This exercise has no Dutch sentences to make drills from')
+    }
+    
+    const providerConfig = getProviderConfig()
+    if (!isProviderConfigured(providerConfig)) {
+      throw new Error('API key not configured. Please set up your API key in Settings.')
+    }
+    
+    const translationId = currentTranslation.value.id
+    logger.actionStart(`Generating drills for translation ${translationId}`)
+    
+    try {
+      const result = await generateDrills(providerConfig, sentences)
+      if (!result.success) {
+        throw new ApiError(result.errorType, result.error)
+      }
+      
+      const drills = { content: result.content, text: sentences.join('\n'), generatedAt: new Date().toISOString() }
+      // The user may have opened another exercise while the drills were generated
+      if (currentTranslation.value?.id === translationId) {
+        await updateCurrentTranslation({ drills })
+      }
+      logger.actionSuccess(`Generated drills for translation ${translationId}`)
+      return drills
+    } catch (error) {
+      logger.error('Failed to generate drills', { translationId, error: error.message })
+      throw error
+    }
+  }
+
+  /**
+   * Store the result of a finished drill session on the current exercise
+   */
+  async function saveDrillSession(session) {
+    if (!currentTranslation.value) return
+    
+    const { article, conjugation } = session
+    logger.action(`Saving drill session for translation ${currentTranslation.value.id}`, {
+      total: article.total + conjugation.total,
+      correct: article.correct + conjugation.correct
+    })
+    const drillSessions = [...(currentTranslation.value.drillSessions || []), session].slice(-DRILL_SESSION_LIMIT)
+    await updateCurrentTranslation({ drillSessions })
+  }
 
   return {
     // State
@@ -422,13 +1025,19 @@ export const useTranslationsStore = defineStore('translations', () => {
     // AI Review State
     reviewSentenceId,
     isReviewLoading,
+    streamingReview,
     reviewError,
+    batchReview,
     
     // Getters
     translationCount,
     hasTranslations,
+    currentLanguagePair,
+    canUndo,
+    canRedo,
     currentReviewSentence,
     currentReviewContent,
+    sentencesNeedingReview,
     
     // Actions
     initialize,
@@ -437,11 +1046,14 @@ export const useTranslationsStore = defineStore('translations', () => {
     createTranslation,
     updateCurrentTranslation,
     updateSentence,
+    acceptSuggestion,
     addSentence,
     deleteSentence,
     renameTranslation,
     removeTranslation,
     clearCurrentTranslation,
+    undo,
+    redo,
     
     // AI Review Actions
     getContextSentences,
@@ -449,6 +1061,25 @@ export const useTranslationsStore = defineStore('translations', () => {
     isReviewStale,
     openReview,
     closeReview,
-    requestReview
+    requestReview,
+    reviewAllSentences,
+    cancelBatchReview,
+    
+    // Unknown Words Actions
+    getWordLookupCount,
+    findPreviousLookup,
+    lookupWord,
+    removeUnknownWord,
+    
+    // Hint Actions
+    revealNextHint,
+    
+    // Quiz Actions
+    regradeAnswer,
+    saveQuizAttempt,
+    
+    // Drill Actions
+    createDrills,
+    saveDrillSession
   }
 })
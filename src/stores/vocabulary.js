@@ -0,0 +1,153 @@
+/**
+ * Pinia store for the global vocabulary list
+ */
+
+import { defineStore } from 'pinia'
+import { ref, computed } from 'vue'
+import {
+  getAllVocabulary,
+  saveVocabularyEntry,
+  deleteVocabularyEntry,
+  initDB
+} from '../services/storage'
+import logger from '../services/logger'
+
+export const ARTICLES = ['de', 'het']
+
+/**
+ * Split a Dutch gloss like "de fiets" into its article and the word itself
+ */
+export function parseArticle(text) {
+  const match = text.trim().match(/^(de|het)\s+(.+)$/i)
+  if (!match) return { article: '', dutch: text.trim() }
+  return { article: match[1].toLowerCase(), dutch: match[2] }
+}
+
+export const useVocabularyStore = defineStore('vocabulary', () => {
+  // State
+  const entries = ref([])
+  const isLoading = ref(false)
+  const isInitialized = ref(false)
+
+  // Getters
+  const entryCount = computed(() => entries.value.length)
+
+  // Actions
+  async function initialize() {
+    if (isInitialized.value) return
+
+    logger.app('Initializing vocabulary store...')
+
+    try {
+      await initDB()
+      await loadEntries()
+      isInitialized.value = true
+      logger.app('Vocabulary store initialized')
+    } catch (error) {
+      logger.error('Failed to initialize vocabulary store', error)
+      throw error
+    }
+  }
+
+  async function loadEntries() {
+    logger.action('Loading vocabulary')
+    isLoading.value = true
+
+    try {
+      entries.value = await getAllVocabulary()
+      logger.actionSuccess(`Loaded ${entries.value.length} vocabulary entries`)
+    } catch (error) {
+      logger.error('Failed to load vocabulary', error)
+      throw error
+    } finally {
+      isLoading.value = false
+    }
+  }
+
+  /**
+   * Find an entry by its English word and Dutch gloss
+   */
+  function findEntry(word, dutch) {
+    const key = word.trim().toLowerCase()
+    return entries.value.find(e => e.word === key && e.dutch === dutch) || null
+  }
+
+  /**
+   * Add an entry, or refresh the existing one when the same word and gloss are already saved
+   */
+  async function addEntry({ word, dutch, article = '', example = '', sourceTranslationId = null }) {
+    logger.action(`Adding vocabulary entry: ${word}`)
+
+    const existing = findEntry(word, dutch)
+    if (existing) {
+      return updateEntry(existing.id, { article: article || existing.article, example: example || existing.example })
+    }
+
+    try {
+      const saved = await saveVocabularyEntry({
+        word: word.trim().toLowerCase(),
+        dutch,
+        article,
+        example,
+        sourceTranslationId
+      })
+      entries.value.unshift(saved)
+      logger.actionSuccess(`Added vocabulary entry: ${saved.word}`, { id: saved.id })
+      return saved
+    } catch (error) {
+      logger.error('Failed to add vocabulary entry', { word, error: error.message })
+      throw error
+    }
+  }
+
+  async function updateEntry(id, updates) {
+    logger.action(`Updating vocabulary entry: ${id}`)
+
+    const index = entries.value.findIndex(e => e.id === id)
+    if (index === -1) {
+      logger.warn(`Vocabulary entry not found: ${id}`)
+      return null
+    }
+
+    try {
+      const saved = await saveVocabularyEntry({ ...entries.value[index], ...updates, id })
+      entries.value[index] = saved
+      logger.actionSuccess(`Updated vocabulary entry: ${saved.word}`)
+      return saved
+    } catch (error) {
+      logger.error('Failed to update vocabulary entry', { id, error: error.message })
+      throw error
+    }
+  }
+
+  async function removeEntry(id) {
+    logger.action(`Deleting vocabulary entry: ${id}`)
+
+    try {
+      await deleteVocabularyEntry(id)
+      entries.value = entries.value.filter(e => e.id !== id)
+      logger.actionSuccess(`Deleted vocabulary entry: ${id}`)
+    } catch (error) {
+      logger.error('Failed to delete vocabulary entry', { id, error: error.message })
+      throw error
+    }
+  }
+
+  return {
+    // State
+    entries,
+    isLoading,
+    isInitialized,
+
+    // Getters
+    entryCount,
+
+    // Actions
+    initialize,
+    loadEntries,
+    findEntry,
+    addEntry,
+    updateEntry,
+    removeEntry
+  }
+})
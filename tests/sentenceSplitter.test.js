@@ -0,0 +1,24 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { readFileSync } from 'node:fs'
+import { splitIntoSentences, mergeWithNext } from '../src/services/sentenceSplitter.js'
+
+// Fixture cases per language code: { name, text, sentences }
+const fixtures = JSON.parse(readFileSync(new URL('./fixtures/sentenceSplitter.json', import.meta.url), 'utf8'))
+
+for (const [lang, cases] of Object.entries(fixtures)) {
+  for (const { name, text, sentences } of cases) {
+    test(`splitIntoSentences (${lang}): ${name}`, () => {
+      assert.deepEqual(splitIntoSentences(text, lang), sentences)
+    })
+  }
+}
+
+test('splitIntoSentences uses the English rules for unknown languages', () => {
+  assert.deepEqual(splitIntoSentences('Mr. Smith left. He came back.', 'xx'), ['Mr. Smith left.', 'He came back.'])
+})
+
+test('mergeWithNext joins a sentence with the next one', () => {
+  assert.deepEqual(mergeWithNext(['Mr.', 'Smith left.', 'Bye.'], 0), ['Mr. Smith left.', 'Bye.'])
+  assert.deepEqual(mergeWithNext(['One.', 'Two.'], 1), ['One.', 'Two.'])
+})
@@ -0,0 +1,126 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { useSpeechRecognition } from '../src/composables/useSpeechRecognition.js'
+
+/**
+ * Fake SpeechRecognition that records its instances so a test can fire their events
+ */
+function createFakeRecognition({ failOnStart = false } = {}) {
+  const instances = []
+
+  class FakeRecognition {
+    constructor() {
+      this.started = false
+      instances.push(this)
+    }
+
+    start() {
+      if (failOnStart) throw new Error('already started')
+      this.started = true
+    }
+
+    stop() {
+      this.onend()
+    }
+
+    abort() {
+      this.onerror({ error: 'aborted' })
+      this.onend()
+    }
+
+    // Fire a result event; `results` are [transcript, isFinal] pairs
+    emitResult(results) {
+      this.onresult({
+        results: results.map(([transcript, isFinal]) => Object.assign([{ transcript }], { isFinal }))
+      })
+    }
+  }
+
+  return { FakeRecognition, instances }
+}
+
+// The composable logs failures; keep the test output clean
+console.warn = () => {}
+
+test('reports no support without a recognition constructor', async () => {
+  const speech = useSpeechRecognition({ Recognition: undefined })
+
+  assert.equal(speech.isSupported, false)
+  assert.equal(await speech.start('nl-NL'), '')
+})
+
+test('resolves to the final text when listening ends', async () => {
+  const { FakeRecognition, instances } = createFakeRecognition()
+  const speech = useSpeechRecognition({ Recognition: FakeRecognition })
+
+  const result = speech.start('nl-NL')
+  const [recognition] = instances
+  assert.equal(recognition.lang, 'nl-NL')
+  assert.equal(recognition.started, true)
+  assert.equal(speech.isListening.value, true)
+
+  recognition.emitResult([['Ik ga ', true], ['naar huis', false]])
+  assert.equal(speech.transcript.value, 'Ik ga naar huis')
+
+  recognition.emitResult([['Ik ga ', true], ['naar huis ', true]])
+  recognition.onend()
+
+  assert.equal(await result, 'Ik ga naar huis')
+  assert.equal(speech.isListening.value, false)
+  assert.equal(speech.error.value, '')
+})
+
+test('resolves to an empty string and sets a message on errors', async () => {
+  const { FakeRecognition, instances } = createFakeRecognition()
+  const speech = useSpeechRecognition({ Recognition: FakeRecognition })
+
+  const result = speech.start('nl-NL')
+  instances[0].emitResult([['Hallo', true]])
+  instances[0].onerror({ error: 'not-allowed' })
+  instances[0].onend()
+
+  assert.equal(await result, '')
+  assert.match(speech.error.value, /Microphone access was denied/)
+  assert.equal(speech.isListening.value, false)
+})
+
+test('keeps the text heard so far when stopped', async () => {
+  const { FakeRecognition, instances } = createFakeRecognition()
+  const speech = useSpeechRecognition({ Recognition: FakeRecognition })
+
+  const result = speech.start('nl-NL')
+  instances[0].emitResult([['Goedemorgen', true]])
+  speech.stop()
+
+  assert.equal(await result, 'Goedemorgen')
+})
+
+test('discards the result when aborted, without an error', async () => {
+  const { FakeRecognition, instances } = createFakeRecognition()
+  const speech = useSpeechRecognition({ Recognition: FakeRecognition })
+
+  const result = speech.start('nl-NL')
+  instances[0].emitResult([['Goedemorgen', true]])
+  speech.abort()
+
+  assert.equal(await result, '')
+  assert.equal(speech.error.value, '')
+})
+
+test('ignores a second start while listening', async () => {
+  const { FakeRecognition, instances } = createFakeRecognition()
+  const speech = useSpeechRecognition({ Recognition: FakeRecognition })
+
+  speech.start('nl-NL')
+  assert.equal(await speech.start('nl-NL'), '')
+  assert.equal(instances.length, 1)
+})
+
+test('resolves to an empty string when listening cannot start', async () => {
+  const { FakeRecognition } = createFakeRecognition({ failOnStart: true })
+  const speech = useSpeechRecognition({ Recognition: FakeRecognition })
+
+  assert.equal(await speech.start('nl-NL'), '')
+  assert.equal(speech.error.value, 'Speech recognition could not be started.')
+  assert.equal(speech.isListening.value, false)
+})